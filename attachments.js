@@ -0,0 +1,90 @@
+import { config } from './config.js'
+
+const DATA_URL = /^data:([\w.+-]+\/[\w.+-]+)?((?:;[^,;]*)*?)(;base64)?,(.*)$/s
+const EXTENSIONS = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+  pdf: 'application/pdf', txt: 'text/plain', md: 'text/markdown', csv: 'text/csv', json: 'application/json',
+  mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', flac: 'audio/flac', m4a: 'audio/mp4',
+}
+const AUDIO_FORMATS = { mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', flac: 'audio/flac', m4a: 'audio/mp4', aac: 'audio/aac' }
+// Non-standard spellings clients send, mapped to the type the allowlist and providers expect
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg', 'image/pjpeg': 'image/jpeg', 'image/x-png': 'image/png',
+  'audio/mp3': 'audio/mpeg', 'audio/mpeg3': 'audio/mpeg', 'audio/x-mpeg': 'audio/mpeg', 'audio/x-wav': 'audio/wav', 'audio/wave': 'audio/wav',
+  'audio/vnd.wave': 'audio/wav', 'audio/x-flac': 'audio/flac', 'audio/x-m4a': 'audio/mp4', 'audio/m4a': 'audio/mp4', 'audio/x-aac': 'audio/aac',
+  'application/x-pdf': 'application/pdf', 'text/x-markdown': 'text/markdown',
+}
+
+// How each direct provider can receive an attachment kind: inline bytes, a remote URL, or both.
+// OpenRouter and compatible servers receive parts untouched, so only the limits apply to them.
+const SUPPORT = {
+  openai: { image: ['data', 'url'], document: ['data', 'url'], text: ['data'], audio: [] },
+  claude: { image: ['data', 'url'], document: ['data', 'url'], text: ['data'], audio: [] },
+  google: { image: ['data', 'url'], document: ['data', 'url'], text: ['data', 'url'], audio: ['data', 'url'] },
+}
+
+function kindOf(mime) {
+  if (mime.startsWith('image/')) return 'image'
+  if (mime.startsWith('audio/')) return 'audio'
+  if (mime === 'application/pdf') return 'document'
+  if (mime.startsWith('text/') || mime === 'application/json') return 'text'
+  return 'other'
+}
+
+const canonical = mime => MIME_ALIASES[mime] || mime
+
+const guessMime = (url, fallback) => EXTENSIONS[/\.(\w+)(?:[?#]|$)/.exec(url)?.[1]?.toLowerCase()] || fallback
+
+function fromSource(src, filename, fallbackMime) {
+  const m = DATA_URL.exec(src)
+  if (m) {
+    const mime = canonical((m[1] || fallbackMime).toLowerCase())
+    const data = m[3] ? m[4] : Buffer.from(decodeURIComponent(m[4])).toString('base64')
+    return { kind: kindOf(mime), mime, filename, data }
+  }
+  if (!/^https?:\/\//i.test(src)) return { kind: 'invalid', mime: null, filename, url: src }
+  const mime = guessMime(src, fallbackMime)
+  return { kind: kindOf(mime), mime, filename, url: src }
+}
+
+// Normalizes OpenRouter-style image_url, file and input_audio parts; returns null for anything else
+export function parse(part) {
+  if (part?.type === 'image_url' || part?.type === 'input_image') {
+    return fromSource(String(part.image_url?.url || part.image_url || ''), null, 'image/jpeg')
+  }
+  if (part?.type === 'file') {
+    const f = part.file || {}
+    return fromSource(String(f.file_data || f.url || ''), f.filename || 'file', 'application/octet-stream')
+  }
+  if (part?.type === 'input_audio') {
+    const format = String(part.input_audio?.format || 'wav').toLowerCase()
+    return { kind: 'audio', mime: AUDIO_FORMATS[format] || canonical(`audio/${format}`), filename: null, data: String(part.input_audio?.data || '') }
+  }
+  return null
+}
+
+export const bytesOf = a => (a.data ? Math.floor(a.data.replace(/=+$/, '').length * 3 / 4) : 0)
+
+export const textOf = a => Buffer.from(a.data, 'base64').toString('utf8')
+
+export const dataUrl = a => `data:${a.mime};base64,${a.data}`
+
+// First attachment in the prompt that breaks a limit or that `provider` cannot take, as an err payload
+export function check(messages, provider) {
+  for (const m of messages) {
+    for (const part of Array.isArray(m?.content) ? m.content : []) {
+      const a = parse(part)
+      if (!a) continue
+      const name = a.filename || a.url?.slice(0, 200) || a.mime
+      if (a.kind === 'invalid') return { message: 'bad_attachment', attachment: name, reason: 'expected a data: URI or an http(s) URL' }
+      if (!config.attachmentMimes.includes(a.mime)) return { message: 'attachment_type_not_allowed', attachment: name, mime: a.mime }
+      if (bytesOf(a) > config.attachmentMaxBytes) return { message: 'attachment_too_large', attachment: name, bytes: bytesOf(a), limit: config.attachmentMaxBytes }
+      // Kinds a direct provider has no mapping for (such as 'other') would be dropped, so they are refused too
+      const ways = SUPPORT[provider] && (SUPPORT[provider][a.kind] || [])
+      if (ways && !ways.includes(a.data ? 'data' : 'url')) {
+        return { message: 'unsupported_attachment', attachment: name, provider, mime: a.mime, source: a.data ? 'inline' : 'url' }
+      }
+    }
+  }
+  return null
+}
@@ -0,0 +1,60 @@
+// Poll latency over one long run: the old per-key kv log versus the indexed deltas table
+// Usage: bun bench/deltas.js [deltas=5000] [iterations=50]
+import { rmSync } from 'node:fs'
+
+const N = +(process.argv[2] || 5000)
+const ITERATIONS = +(process.argv[3] || 50)
+const DB_PATH = `/tmp/sune-bench-${process.pid}.db`
+process.env.DB_PATH = DB_PATH
+
+const kv = await import('../db.js')
+
+const row = i => ({ channel: i % 10 === 0 ? 'reasoning' : 'content', text: `token ${i} `.repeat(40) })
+
+// What getDeltas and handlePoll did before: GLOB the keys, then one get and parse per key
+function oldPoll(rid) {
+  const deltas = kv.list(`delta:${rid}:`).map(k => kv.get(k)).filter(Boolean).sort((a, b) => a.seq - b.seq)
+  return deltas.filter(d => d.channel !== 'reasoning').map(d => d.text).join('')
+}
+
+function oldPollAfter(rid, after) {
+  return kv.list(`delta:${rid}:`).map(k => kv.get(k)).filter(Boolean).sort((a, b) => a.seq - b.seq).filter(d => d.seq > after)
+}
+
+// A cold cache reads the whole log once; a warm one only reads rows past cache.seq
+function newPoll(rid, cache) {
+  for (const d of kv.deltas(rid, cache.seq)) {
+    if (d.channel !== 'reasoning') cache.text += d.text
+    cache.seq = d.seq
+  }
+  return cache.text
+}
+
+function time(label, fn) {
+  const samples = []
+  for (let i = 0; i < ITERATIONS; i++) {
+    const t = performance.now()
+    fn()
+    samples.push(performance.now() - t)
+  }
+  samples.sort((a, b) => a - b)
+  const at = q => samples[Math.min(samples.length - 1, Math.floor(q * samples.length))].toFixed(3)
+  console.log(`${label.padEnd(34)} p50 ${at(0.5).padStart(9)} ms   p95 ${at(0.95).padStart(9)} ms`)
+}
+
+for (let i = 0; i < N; i++) {
+  kv.set(`delta:old:${String(i).padStart(10, '0')}`, { seq: i, ...row(i) })
+  kv.appendDelta('new', i, row(i))
+}
+
+console.log(`${N} deltas, ${ITERATIONS} iterations\n`)
+time('old full poll', () => oldPoll('old'))
+time('new full poll (cold cache)', () => newPoll('new', { seq: -1, text: '' }))
+const warm = { seq: -1, text: '' }
+newPoll('new', warm)
+time('new full poll (warm, 10 new rows)', () => { warm.seq = N - 11; newPoll('new', warm) })
+time('old poll after=<seq> (last 10)', () => oldPollAfter('old', N - 11))
+time('new poll after=<seq> (last 10)', () => kv.deltas('new', N - 11))
+
+for (const suffix of ['', '-wal', '-shm']) rmSync(DB_PATH + suffix, { force: true })
+process.exit(0)
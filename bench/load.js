@@ -0,0 +1,84 @@
+// WebSocket load test against the mock provider. Start the server with it enabled and limits raised, e.g.
+//   MOCK_PROVIDER=1 RATE_CONNECT=10000/60 RATE_BEGIN=10000/60 ADMIN_TOKEN=dev PUBLIC_URL=http://localhost:8080 bun index.js
+// then: bun bench/load.js [clients=200] [tokens=400] [tokensPerSecond=40]
+// URL (default ws://localhost:8080/ws) and ADMIN_TOKEN (to sample /metrics afterwards) come from the env.
+
+const CLIENTS = +(process.argv[2] || 200)
+const TOKENS = +(process.argv[3] || 400)
+const TPS = +(process.argv[4] || 40)
+const URL = process.env.URL || 'ws://localhost:8080/ws'
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || ''
+const TIMEOUT_MS = Math.max(60_000, (TOKENS / TPS) * 1000 * 3)
+
+const results = []
+
+function client(i) {
+  return new Promise(resolve => {
+    const rid = `load-${Date.now()}-${i}`
+    const started = performance.now()
+    const res = { rid, firstDeltaMs: null, doneMs: null, deltas: 0, bytes: 0, error: null }
+    const ws = new WebSocket(`${URL}?uid=load${i}`)
+    const finish = error => {
+      clearTimeout(timer)
+      if (error && !res.error) res.error = error
+      try { ws.close() } catch {}
+      resolve(res)
+    }
+    const timer = setTimeout(() => finish('timeout'), TIMEOUT_MS)
+    ws.onopen = () => ws.send(JSON.stringify({
+      type: 'begin',
+      rid,
+      provider: 'mock',
+      model: 'mock-1',
+      messages: [{ role: 'user', content: `load client ${i}` }],
+      mock: { tokens: TOKENS, tokensPerSecond: TPS, reasoning: 20, seed: i },
+    }))
+    ws.onmessage = e => {
+      const msg = JSON.parse(e.data)
+      if (msg.type === 'delta') {
+        res.firstDeltaMs ??= performance.now() - started
+        res.deltas++
+        res.bytes += msg.text?.length || 0
+      } else if (msg.type === 'done') {
+        res.doneMs = performance.now() - started
+        finish()
+      } else if (msg.type === 'err') {
+        finish(msg.message)
+      }
+    }
+    ws.onerror = () => finish('socket_error')
+    ws.onclose = () => finish(res.doneMs == null ? 'closed' : null)
+  })
+}
+
+const pct = (xs, q) => (xs.length ? xs.sort((a, b) => a - b)[Math.min(xs.length - 1, Math.floor(q * xs.length))].toFixed(0) : '-')
+
+console.log(`${CLIENTS} clients x ${TOKENS} tokens at ${TPS} tok/s against ${URL}`)
+const t0 = performance.now()
+// Stagger connects slightly so the accept queue isn't the thing being measured
+const pending = []
+for (let i = 0; i < CLIENTS; i++) {
+  pending.push(client(i).then(r => results.push(r)))
+  if (i % 50 === 49) await Bun.sleep(50)
+}
+await Promise.all(pending)
+const wall = ((performance.now() - t0) / 1000).toFixed(1)
+
+const ok = results.filter(r => !r.error)
+const errors = results.filter(r => r.error).reduce((acc, r) => ({ ...acc, [r.error]: (acc[r.error] || 0) + 1 }), {})
+const first = ok.map(r => r.firstDeltaMs)
+const done = ok.map(r => r.doneMs)
+const deltas = ok.map(r => r.deltas)
+
+console.log(`wall ${wall}s, ok ${ok.length}/${CLIENTS}`, Object.keys(errors).length ? `errors ${JSON.stringify(errors)}` : '')
+console.log(`first delta ms   p50 ${pct(first, 0.5)}  p95 ${pct(first, 0.95)}  max ${pct(first, 1)}`)
+console.log(`done ms          p50 ${pct(done, 0.5)}  p95 ${pct(done, 0.95)}  max ${pct(done, 1)}`)
+console.log(`deltas per run   p50 ${pct(deltas, 0.5)}  p95 ${pct(deltas, 0.95)}  (batching: ~${(TOKENS / Math.max(1, +pct(deltas, 0.5))).toFixed(1)} tokens per delta)`)
+
+if (ADMIN_TOKEN) {
+  const metricsUrl = URL.replace(/^ws/, 'http').replace(/\/ws$/, '/metrics')
+  const text = await (await fetch(metricsUrl, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } })).text()
+  const wanted = /^(sune_active_runs|sune_connected_sockets|sune_kv_rows|sune_deltas_flushed_total|sune_delta_bytes_flushed_total|process_resident_memory_bytes)\b/
+  console.log('\n' + text.split('\n').filter(l => wanted.test(l)).join('\n'))
+}
+process.exit(0)
@@ -0,0 +1,36 @@
+import { createHash } from 'node:crypto'
+import * as kv from './db.js'
+
+// Blob URLs end up in <img> tags on the client's origin, so they need to be absolute.
+// Unset, each run links to the host its client connected to
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '')
+if (PUBLIC_URL && !/^https?:\/\/[^/]+/i.test(PUBLIC_URL)) {
+  console.error(`PUBLIC_URL must be the proxy's absolute http(s) origin for blob links, got ${JSON.stringify(PUBLIC_URL)}`)
+  process.exit(1)
+}
+const DATA_URL = /^data:([\w.+-]+\/[\w.+-]+)?(;[^,]*)?,/
+
+export const isId = id => /^[a-f0-9]{64}$/.test(id)
+
+export const urlFor = (id, origin) => `${PUBLIC_URL || origin || ''}/blob/${id}`
+
+// Swaps an inline data URL for a `{ id, mime, url }` reference; remote URLs pass through with id null
+export function store(image, ttl, origin) {
+  const src = typeof image === 'string' ? image : image?.image_url?.url || image?.url || ''
+  const m = DATA_URL.exec(src)
+  if (!m) return { id: null, mime: null, url: src }
+  const mime = m[1] || 'application/octet-stream'
+  const payload = src.slice(m[0].length)
+  const data = m[2]?.includes(';base64') ? Buffer.from(payload, 'base64') : Buffer.from(decodeURIComponent(payload))
+  const id = createHash('sha256').update(data).digest('hex')
+  kv.putBlob(id, mime, data, ttl)
+  return { id, mime, url: urlFor(id, origin) }
+}
+
+export function get(id) {
+  return isId(id) ? kv.getBlob(id) : null
+}
+
+export function keep(refs, ttl) {
+  for (const ref of refs) if (ref?.id) kv.keepBlob(ref.id, ttl)
+}
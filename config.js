@@ -0,0 +1,211 @@
+import { existsSync, readFileSync, watchFile } from 'node:fs'
+import { notify } from './notify.js'
+
+const CONFIG_PATH = process.env.CONFIG_PATH || 'config.json'
+
+// Validators take a raw value (env values arrive as strings) and return it normalized, or throw a reason
+const int = (min, max = Number.MAX_SAFE_INTEGER) => v => {
+  const n = typeof v === 'string' && v.trim() !== '' ? Number(v) : v
+  if (!Number.isInteger(n) || n < min || n > max) throw `must be an integer from ${min} to ${max}`
+  return n
+}
+const num = min => v => {
+  const n = typeof v === 'string' && v.trim() !== '' ? Number(v) : v
+  if (typeof n !== 'number' || !Number.isFinite(n) || n < min) throw `must be a number >= ${min}`
+  return n
+}
+const list = v => {
+  const a = typeof v === 'string' ? v.split(',').map(s => s.trim()).filter(Boolean) : v
+  if (!Array.isArray(a) || !a.every(s => typeof s === 'string')) throw 'must be a list of strings'
+  return a
+}
+const rate = v => {
+  if (!/^\d+\/\d+(\.\d+)?$/.test(String(v)) || +String(v).split('/')[1] <= 0) throw 'must look like "<capacity>/<seconds>"'
+  return String(v)
+}
+const obj = check => v => {
+  let o = v
+  if (typeof v === 'string') {
+    try { o = JSON.parse(v) } catch { throw 'must be valid JSON' }
+  }
+  if (!o || typeof o !== 'object' || Array.isArray(o)) throw 'must be an object'
+  for (const [k, val] of Object.entries(o)) {
+    try { check(val) } catch (reason) { throw `entry "${k}" ${reason}` }
+  }
+  return o
+}
+const bool = v => {
+  if (typeof v === 'boolean') return v
+  if (['1', 'true'].includes(String(v).toLowerCase())) return true
+  if (['0', 'false'].includes(String(v).toLowerCase())) return false
+  throw 'must be true or false'
+}
+const oneOf = names => v => {
+  const a = list(v)
+  const bad = a.find(n => !names.includes(n))
+  if (bad) throw `has unknown entry "${bad}", expected some of ${names.join(', ')}`
+  return a
+}
+const rules = v => {
+  let a = v
+  if (typeof v === 'string') {
+    try { a = JSON.parse(v) } catch { throw 'must be valid JSON' }
+  }
+  if (!Array.isArray(a)) throw 'must be a list of rules'
+  a.forEach((rule, i) => {
+    if (!rule || typeof rule.pattern !== 'string' || !['rewrite', 'stop'].includes(rule.action)) throw `rule ${i} needs a pattern and an action of rewrite or stop`
+    try { new RegExp(rule.pattern, 'gi') } catch (e) { throw `rule ${i} pattern is invalid: ${e.message}` }
+    if (rule.replacement != null && typeof rule.replacement !== 'string') throw `rule ${i} replacement must be a string`
+  })
+  return a
+}
+const str = v => { if (typeof v !== 'string') throw 'must be a string' }
+const fields = spec => v => {
+  if (!v || typeof v !== 'object') throw 'must be an object'
+  for (const [k, val] of Object.entries(v)) {
+    if (!spec[k]) throw `has unknown field "${k}"`
+    try { spec[k](val) } catch (reason) { throw `field "${k}" ${reason}` }
+  }
+}
+const override = fields({ maxTokens: int(1), maxRunMs: int(1000), firstTokenMs: int(0), idleMs: int(0) })
+const price = fields({ prompt: num(0), completion: num(0) })
+
+// [path, env override, validator, default]
+const SCHEMA = [
+  ['batchMs', 'BATCH_MS', int(10, 60_000), 800],
+  ['batchBytes', 'BATCH_BYTES', int(64, 1 << 20), 3400],
+  ['maxRunMs', 'MAX_RUN_MS', int(1000), 12 * 60 * 1000],
+  // Quiet-upstream deadlines, 0 to disable; per-provider/model overrides suit slow silent reasoners
+  ['firstTokenMs', 'FIRST_TOKEN_MS', int(0), 2 * 60 * 1000],
+  ['idleMs', 'IDLE_MS', int(0), 90_000],
+  ['heartbeatMs', 'HEARTBEAT_MS', int(0), 15_000],
+  ['cleanupIntervalMs', 'CLEANUP_INTERVAL_MS', int(1000), 60_000],
+  ['kvTtlMs', 'KV_TTL_MS', int(60_000), 20 * 60 * 1000],
+  // Keep below the orchestrator's stop grace period (Docker defaults to 10s)
+  ['drainMs', 'DRAIN_MS', int(0), 8000],
+  // Finished runs, their prompts and deltas stay exportable this long
+  ['historyTtlMs', 'HISTORY_TTL_MS', int(60_000), 7 * 24 * 60 * 60 * 1000],
+  ['historySize', 'HISTORY_SIZE', int(1, 1000), 50],
+  ['allowedOrigins', 'ALLOWED_ORIGINS', list, ['sune.planetrenox.com', 'sune.chat', '*.github.io']],
+  ['cors', null, obj(str), {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, Last-Event-ID',
+    'Access-Control-Max-Age': '86400',
+  }],
+  ['claudeMaxTokens', 'CLAUDE_MAX_TOKENS', int(1), 128000],
+  ['maxRunsPerUid', 'MAX_RUNS_PER_UID', int(1), 4],
+  ['retryMaxAttempts', 'RETRY_MAX_ATTEMPTS', int(0, 10), 3],
+  ['retryBaseMs', 'RETRY_BASE_MS', int(0), 1000],
+  ['retryMaxDelayMs', 'RETRY_MAX_DELAY_MS', int(0), 20_000],
+  ['compatBaseUrls', 'COMPAT_BASE_URLS', list, []],
+  // Offline `mock` provider for tests and load simulation; keep off in production
+  ['mockProvider', 'MOCK_PROVIDER', bool, false],
+  // Ordered middleware around each run: redact, systemPrompt and denyModels on the request, scan on the response
+  ['middleware', 'MIDDLEWARE', oneOf(['redact', 'systemPrompt', 'denyModels', 'scan']), []],
+  ['redact', 'REDACT', oneOf(['email', 'phone', 'apiKey']), ['email', 'phone', 'apiKey']],
+  ['systemPrompt', 'SYSTEM_PROMPT', str, ''],
+  ['deniedModels', 'DENIED_MODELS', list, []],
+  // [{ pattern, action: 'rewrite' | 'stop', replacement? }], matched case-insensitively against streamed text
+  ['responseRules', 'RESPONSE_RULES', rules, []],
+  // Check response_format output against its schema at run end and report it in `done`
+  ['validateStructuredOutput', 'VALIDATE_STRUCTURED_OUTPUT', bool, true],
+  // Bun caps WebSocket frames at 16 MB, and base64 adds a third on top of this
+  ['attachmentMaxBytes', 'ATTACHMENT_MAX_BYTES', int(1), 10 * 1024 * 1024],
+  ['attachmentMimes', 'ATTACHMENT_MIMES', list, [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'application/pdf', 'text/plain', 'text/markdown', 'text/csv', 'application/json',
+    'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/flac', 'audio/mp4', 'audio/aac',
+  ]],
+  ['webhookUrls', 'WEBHOOK_URLS', list, []],
+  ['webhookMaxAttempts', 'WEBHOOK_MAX_ATTEMPTS', int(1, 50), 8],
+  ['webhookBaseMs', 'WEBHOOK_BASE_MS', int(1000), 10_000],
+  ['rates.connect', 'RATE_CONNECT', rate, '30/60'],
+  ['rates.begin', 'RATE_BEGIN', rate, '10/60'],
+  ['rates.poll', 'RATE_POLL', rate, '120/60'],
+  ['quotas.day.runs', 'QUOTA_DAILY_RUNS', int(0), 0],
+  ['quotas.day.tokens', 'QUOTA_DAILY_TOKENS', int(0), 0],
+  ['quotas.day.cost', 'QUOTA_DAILY_COST', num(0), 0],
+  ['quotas.month.runs', 'QUOTA_MONTHLY_RUNS', int(0), 0],
+  ['quotas.month.tokens', 'QUOTA_MONTHLY_TOKENS', int(0), 0],
+  ['quotas.month.cost', 'QUOTA_MONTHLY_COST', num(0), 0],
+  // USD per million tokens, keyed by model or trailing-'*' prefix
+  ['modelPrices', 'MODEL_PRICES', obj(price), {}],
+  // Per-provider and per-model (exact or trailing-'*' prefix) limits; model entries win
+  ['providers', null, obj(override), {}],
+  ['models', null, obj(override), {}],
+]
+
+const dig = (o, path) => path.split('.').reduce((acc, k) => acc?.[k], o)
+const plant = (o, path, v) => {
+  const keys = path.split('.')
+  const last = keys.pop()
+  keys.reduce((acc, k) => (acc[k] ??= {}), o)[last] = v
+}
+
+function build() {
+  let file = {}
+  if (existsSync(CONFIG_PATH)) {
+    try { file = JSON.parse(readFileSync(CONFIG_PATH, 'utf8')) } catch (e) { throw new Error(`${CONFIG_PATH}: ${e.message}`) }
+  }
+  const next = {}
+  const errors = []
+  for (const [path, env, check, fallback] of SCHEMA) {
+    const fromEnv = env && process.env[env] !== undefined && process.env[env] !== ''
+    const raw = fromEnv ? process.env[env] : dig(file, path)
+    if (raw === undefined) { plant(next, path, fallback); continue }
+    try {
+      plant(next, path, check(raw) ?? raw)
+    } catch (reason) {
+      errors.push(`${path}${fromEnv ? ` (from ${env})` : ''} ${reason}, got ${JSON.stringify(raw)}`)
+    }
+  }
+  if (errors.length) throw new Error(`Invalid config:\n  ${errors.join('\n  ')}`)
+  return next
+}
+
+// Consumers read fields at use time, so reloads mutate this object in place
+export const config = {}
+const listeners = []
+
+export function onReload(fn) {
+  listeners.push(fn)
+}
+
+export function reload() {
+  try {
+    const next = build()
+    for (const k of Object.keys(config)) delete config[k]
+    Object.assign(config, next)
+    for (const fn of listeners) fn(config)
+    return true
+  } catch (e) {
+    console.error(`⚠️ config reload rejected, keeping previous values. ${e.message}`)
+    notify(`Config reload rejected: ${e.message}`, 4, ['warning'])
+    return false
+  }
+}
+
+// The entry of `patterns` naming `value`: the value itself, else the longest 'prefix*' (a bare '*' matches anything)
+export function matchPattern(patterns, value) {
+  if (patterns.includes(value)) return value
+  return patterns.filter(p => p.endsWith('*') && String(value).startsWith(p.slice(0, -1))).sort((a, b) => b.length - a.length)[0] ?? null
+}
+
+// Effective limits for one provider/model pair
+export function resolve(provider, model) {
+  const pattern = matchPattern(Object.keys(config.models), model)
+  return { maxRunMs: config.maxRunMs, firstTokenMs: config.firstTokenMs, idleMs: config.idleMs, ...config.providers[provider], ...(pattern && config.models[pattern]) }
+}
+
+try {
+  Object.assign(config, build())
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
+}
+
+process.on('SIGHUP', () => { if (reload()) console.log('🔄 config reloaded (SIGHUP)') })
+watchFile(CONFIG_PATH, { interval: 2000 }, (cur, prev) => {
+  if (cur.mtimeMs !== prev.mtimeMs && reload()) console.log(`🔄 config reloaded (${CONFIG_PATH} changed)`)
+})
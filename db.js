@@ -1,31 +1,74 @@
 import { Database } from 'bun:sqlite'
+import { inc } from './metrics.js'
+import { config } from './config.js'
 
-const db = new Database(':memory:', { strict: true })
+const DB_PATH = process.env.DB_PATH || 'sune.db'
+
+const db = new Database(DB_PATH, { create: true, strict: true })
+db.exec('PRAGMA journal_mode = WAL')
+db.exec('PRAGMA synchronous = NORMAL')
 
 db.exec(`
-  CREATE TABLE kv (
+  CREATE TABLE IF NOT EXISTS kv (
     k TEXT PRIMARY KEY,
     v TEXT NOT NULL,
     exp INTEGER NOT NULL
   )
 `)
 
+// Deltas are an append log per rid; expiry is tracked once per rid rather than per row
+db.exec(`
+  CREATE TABLE IF NOT EXISTS deltas (
+    rid TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    v TEXT NOT NULL,
+    PRIMARY KEY (rid, seq)
+  ) WITHOUT ROWID;
+  CREATE TABLE IF NOT EXISTS delta_logs (
+    rid TEXT PRIMARY KEY,
+    exp INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS delta_logs_exp ON delta_logs (exp);
+`)
+
+// Content-addressed image bytes, keyed by SHA-256 so repeats share a row
+db.exec(`
+  CREATE TABLE IF NOT EXISTS blobs (
+    id TEXT PRIMARY KEY,
+    mime TEXT NOT NULL,
+    data BLOB NOT NULL,
+    exp INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS blobs_exp ON blobs (exp);
+`)
+
 const stmts = {
   get: db.prepare('SELECT v FROM kv WHERE k=? AND exp>?'),
   set: db.prepare('INSERT OR REPLACE INTO kv VALUES (?,?,?)'),
   del: db.prepare('DELETE FROM kv WHERE k=?'),
   prune: db.prepare('DELETE FROM kv WHERE exp<?'),
   list: db.prepare("SELECT k FROM kv WHERE k GLOB ? AND exp>?"),
+  appendDelta: db.prepare('INSERT OR REPLACE INTO deltas VALUES (?,?,?)'),
+  armLog: db.prepare('INSERT INTO delta_logs VALUES (?,?) ON CONFLICT(rid) DO UPDATE SET exp=MAX(exp, excluded.exp)'),
+  setLogExp: db.prepare('UPDATE delta_logs SET exp=? WHERE rid=?'),
+  deltas: db.prepare('SELECT seq, v FROM deltas WHERE rid=? AND seq>? ORDER BY seq'),
+  lastSeq: db.prepare('SELECT MAX(seq) AS seq FROM deltas WHERE rid=?'),
+  expiredLogs: db.prepare('SELECT rid FROM delta_logs WHERE exp<?'),
+  dropDeltas: db.prepare('DELETE FROM deltas WHERE rid=?'),
+  dropLog: db.prepare('DELETE FROM delta_logs WHERE rid=?'),
+  putBlob: db.prepare('INSERT INTO blobs VALUES (?,?,?,?) ON CONFLICT(id) DO UPDATE SET exp=MAX(exp, excluded.exp)'),
+  getBlob: db.prepare('SELECT mime, data FROM blobs WHERE id=? AND exp>?'),
+  keepBlob: db.prepare('UPDATE blobs SET exp=MAX(exp, ?) WHERE id=?'),
+  pruneBlobs: db.prepare('DELETE FROM blobs WHERE exp<?'),
+  count: db.prepare('SELECT COUNT(*) AS n FROM kv'),
 }
 
-const TTL_MS = 20 * 60 * 1000
-
 export function get(key) {
   const row = stmts.get.get(key, Date.now())
   return row ? JSON.parse(row.v) : null
 }
 
-export function set(key, val, ttl = TTL_MS) {
+export function set(key, val, ttl = config.kvTtlMs) {
   stmts.set.run(key, JSON.stringify(val), Date.now() + ttl)
 }
 
@@ -37,9 +80,56 @@ export function list(prefix) {
   return stmts.list.all(prefix + '*', Date.now()).map(r => r.k)
 }
 
+const append = db.transaction((rid, seq, val, exp) => {
+  stmts.appendDelta.run(rid, seq, JSON.stringify(val))
+  stmts.armLog.run(rid, exp)
+})
+
+export function appendDelta(rid, seq, val, ttl = config.kvTtlMs) {
+  append(rid, seq, val, Date.now() + ttl)
+}
+
+// Rows with seq > after, oldest first
+export function deltas(rid, after = -1) {
+  return stmts.deltas.all(rid, after).map(row => ({ seq: row.seq, ...JSON.parse(row.v) }))
+}
+
+// Highest seq stored for rid, or -1; snapshots can lag behind it after a crash
+export function lastSeq(rid) {
+  return stmts.lastSeq.get(rid)?.seq ?? -1
+}
+
+export function keepDeltas(rid, ttl) {
+  stmts.setLogExp.run(Date.now() + ttl, rid)
+}
+
+// Re-putting existing bytes only ever extends their expiry
+export function putBlob(id, mime, data, ttl = config.kvTtlMs) {
+  stmts.putBlob.run(id, mime, data, Date.now() + ttl)
+}
+
+export function getBlob(id) {
+  return stmts.getBlob.get(id, Date.now()) || null
+}
+
+export function keepBlob(id, ttl) {
+  stmts.keepBlob.run(Date.now() + ttl, id)
+}
+
+const dropExpiredLogs = db.transaction(now => {
+  let n = 0
+  for (const { rid } of stmts.expiredLogs.all(now)) n += stmts.dropDeltas.run(rid).changes + stmts.dropLog.run(rid).changes
+  return n
+})
+
+export function count() {
+  return stmts.count.get().n
+}
+
 export function prune() {
-  stmts.prune.run(Date.now())
+  const now = Date.now()
+  return stmts.prune.run(now).changes + dropExpiredLogs(now) + stmts.pruneBlobs.run(now).changes
 }
 
 // Prune expired entries every 60s
-setInterval(prune, 60_000)
+setInterval(() => inc('sune_kv_pruned_total', {}, prune()), 60_000)
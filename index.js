@@ -1,48 +1,222 @@
-import { addSocket, removeSocket, handleMessage, handlePoll } from './run.js'
+import { timingSafeEqual } from 'node:crypto'
+import { addSocket, removeSocket, handleMessage, handlePoll, watch, unwatch, stats, drain, isDraining, listHistory, exportRun } from './run.js'
+import { render } from './metrics.js'
+import * as kv from './db.js'
+import * as vault from './vault.js'
+import * as blobs from './blobs.js'
+import { take, scopes } from './limits.js'
+import { config } from './config.js'
+import { notify } from './notify.js'
 
 const PORT = +(process.env.PORT || 8080)
+const SSE_PING_MS = 15_000
+// An unreachable ntfy host must not hold shutdown past the orchestrator's grace period
+const SHUTDOWN_NOTIFY_MS = 500
+const STARTS = ['begin', 'continue', 'regenerate']
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || ''
+// Behind Dokploy's Traefik the socket peer is the proxy, so the client is in X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY === '1'
 
-const ALLOWED_ORIGINS = ['sune.planetrenox.com', 'sune.chat']
+// Entries match a hostname exactly, or any subdomain when written as '*.example.com'
 const isAllowed = origin => {
   if (!origin) return false
   try {
     const h = new URL(origin).hostname
-    return ALLOWED_ORIGINS.some(a => h === a || h.endsWith('.github.io'))
+    return config.allowedOrigins.some(a => (a.startsWith('*.') ? h.endsWith(a.slice(1)) : h === a))
   } catch { return false }
 }
 
-const CORS = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-  'Access-Control-Max-Age': '86400',
-}
-
 const json = (data, status = 200) => new Response(JSON.stringify(data), {
   status,
-  headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...CORS },
+  headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...config.cors },
 })
 
-Bun.serve({
+function clientIp(req, server) {
+  const forwarded = TRUST_PROXY ? req.headers.get('X-Forwarded-For')?.split(',')[0].trim() : null
+  return forwarded || server.requestIP(req)?.address || null
+}
+
+// Where the client reached the proxy, for blob links when PUBLIC_URL is unset
+function publicOrigin(req) {
+  const forwarded = name => (TRUST_PROXY ? req.headers.get(name)?.split(',')[0].trim() : null)
+  const host = forwarded('X-Forwarded-Host') || req.headers.get('Host')
+  const proto = forwarded('X-Forwarded-Proto') || new URL(req.url).protocol.slice(0, -1)
+  return host && /^[\w.-]+(?::\d+)?$/.test(host) && /^https?$/.test(proto) ? `${proto}://${host}` : null
+}
+
+function limited(rejection) {
+  const { message, ...detail } = rejection
+  const retryAfter = Math.max(1, Math.ceil((rejection.resetAt - Date.now()) / 1000))
+  return new Response(JSON.stringify({ error: message, ...detail }), {
+    status: 429,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', 'Retry-After': `${retryAfter}`, ...config.cors },
+  })
+}
+
+// Operational endpoints stay dark unless ADMIN_TOKEN is configured
+function isAdmin(req) {
+  if (!ADMIN_TOKEN) return false
+  // Header only: a query-string token would end up in access logs and browser history
+  const given = Buffer.from((req.headers.get('Authorization') || '').replace(/^Bearer /, ''))
+  const want = Buffer.from(ADMIN_TOKEN)
+  return given.length === want.length && timingSafeEqual(given, want)
+}
+
+function admin(pathname) {
+  if (pathname === '/healthz') return json({ ok: true })
+  if (pathname === '/readyz') {
+    if (isDraining()) return json({ ok: false, error: 'draining' }, 503)
+    try { kv.count() } catch (e) { return json({ ok: false, error: String(e?.message || e) }, 503) }
+    return json({ ok: true })
+  }
+  const s = stats()
+  return new Response(render({
+    sune_active_runs: { help: 'Runs currently streaming', value: s.activeRuns },
+    sune_connected_sockets: { help: 'Open WebSocket connections', value: s.sockets },
+    sune_run_subscribers: { help: 'WebSocket and SSE subscriptions across runs', value: s.subscribers },
+    sune_kv_rows: { help: 'Rows in the kv table, including expired ones awaiting prune', value: kv.count() },
+    process_resident_memory_bytes: { help: 'Resident set size of the proxy process', value: process.memoryUsage().rss },
+  }), { headers: { 'Content-Type': 'text/plain; version=0.0.4', 'Cache-Control': 'no-store' } })
+}
+
+// Key vault management and token minting, for the team backend rather than browsers
+async function vaultApi(req, url, method) {
+  const [, , resource, name] = url.pathname.split('/')
+  const body = ['POST', 'PUT'].includes(method) ? await req.json().catch(() => null) : null
+  if (resource === 'tokens' && method === 'POST') {
+    const uid = String(body?.uid || '').slice(0, 64).replace(/[^a-zA-Z0-9_-]/g, '')
+    if (!uid || !Array.isArray(body.providers) || !Array.isArray(body.models)) return json({ error: 'uid, providers and models are required' }, 400)
+    return json(vault.mintToken({ uid, providers: body.providers, models: body.models, ttlMs: body.ttlMs }))
+  }
+  if (resource === 'keys' && !name && method === 'GET') return json({ providers: vault.listKeys() })
+  if (resource === 'keys' && name && method === 'PUT') {
+    if (!body?.apiKey) return json({ error: 'apiKey is required' }, 400)
+    vault.putKey(name, String(body.apiKey))
+    return json({ ok: true })
+  }
+  if (resource === 'keys' && name && method === 'DELETE') {
+    vault.deleteKey(name)
+    return json({ ok: true })
+  }
+  return json({ error: 'not found' }, 404)
+}
+
+// Streams run events as SSE; ids are delta seqs so EventSource resumes via Last-Event-ID
+function sse(req, server, uid, url) {
+  const enc = new TextEncoder()
+  const lastId = req.headers.get('Last-Event-ID') ?? url.searchParams.get('after')
+  const after = lastId !== null && lastId !== '' && Number.isFinite(+lastId) ? +lastId : -1
+  let sink, ping, r
+  const close = controller => {
+    clearInterval(ping)
+    if (r) unwatch(r.rid, sink)
+    try { controller.close() } catch {}
+  }
+  const stream = new ReadableStream({
+    start(controller) {
+      sink = {
+        send(data) {
+          const { type, seq } = JSON.parse(data)
+          controller.enqueue(enc.encode(`${seq != null ? `id: ${seq}\n` : ''}event: ${type}\ndata: ${data}\n\n`))
+          if (type === 'done' || type === 'err') queueMicrotask(() => close(controller))
+        },
+      }
+      ping = setInterval(() => { try { controller.enqueue(enc.encode(': ping\n\n')) } catch {} }, SSE_PING_MS)
+      r = watch(uid, url.searchParams.get('rid'), sink, after)
+      if (!r) {
+        controller.enqueue(enc.encode(`event: err\ndata: ${JSON.stringify({ type: 'err', message: 'not_found' })}\n\n`))
+        close(controller)
+      }
+    },
+    cancel() {
+      clearInterval(ping)
+      if (r) unwatch(r.rid, sink)
+    },
+  })
+  server.timeout(req, 0)
+  return new Response(stream, {
+    headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', 'X-Accel-Buffering': 'no', ...config.cors },
+  })
+}
+
+// Ids are content hashes, so a blob never changes and caches may keep it for good
+function blob(req, id) {
+  const found = blobs.get(id)
+  if (!found) return json({ error: 'not found' }, 404)
+  const headers = {
+    'Content-Type': found.mime.startsWith('image/') ? found.mime : 'application/octet-stream',
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    ETag: `"${id}"`,
+    // Bytes come from upstream models; never let them run as a page on this origin
+    'Content-Security-Policy': "default-src 'none'; sandbox",
+    'X-Content-Type-Options': 'nosniff',
+    ...config.cors,
+  }
+  if (req.headers.get('If-None-Match') === `"${id}"`) return new Response(null, { status: 304, headers })
+  return new Response(found.data, { headers })
+}
+
+const EXPORT_FORMATS = ['json', 'markdown', 'messages']
+
+function exportResponse(uid, url) {
+  const format = url.searchParams.get('format') || 'json'
+  if (!EXPORT_FORMATS.includes(format)) return json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` }, 400)
+  const rid = url.searchParams.get('rid')
+  const out = rid ? exportRun(uid, rid, format) : null
+  if (!out) return json({ error: 'not found' }, 404)
+  if (format !== 'markdown') return json(out)
+  return new Response(out, {
+    headers: { 'Content-Type': 'text/markdown; charset=utf-8', 'Content-Disposition': `attachment; filename="${rid.replace(/[^a-zA-Z0-9_-]/g, '_')}.md"`, 'Cache-Control': 'no-store', ...config.cors },
+  })
+}
+
+const server = Bun.serve({
   port: PORT,
 
   fetch(req, server) {
     const url = new URL(req.url)
     const method = req.method.toUpperCase()
 
-    if (method === 'OPTIONS') return new Response(null, { status: 204, headers: CORS })
+    if (method === 'OPTIONS') return new Response(null, { status: 204, headers: config.cors })
 
     const origin = req.headers.get('Origin')
     if (origin && !isAllowed(origin)) return json({ error: 'Forbidden' }, 403)
 
-    if (url.pathname !== '/ws') return json({ error: 'not found' }, 404)
+    if (['/metrics', '/healthz', '/readyz'].includes(url.pathname)) {
+      return isAdmin(req) ? admin(url.pathname) : json({ error: 'not found' }, 404)
+    }
+
+    if (url.pathname.startsWith('/admin/')) {
+      return vault.enabled && isAdmin(req) ? vaultApi(req, url, method) : json({ error: 'not found' }, 404)
+    }
+
+    if (url.pathname.startsWith('/blob/')) {
+      return ['GET', 'HEAD'].includes(method) ? blob(req, url.pathname.slice('/blob/'.length)) : json({ error: 'method not allowed' }, 405)
+    }
+
+    if (!['/ws', '/sse', '/history', '/export'].includes(url.pathname)) return json({ error: 'not found' }, 404)
 
     const uid = (url.searchParams.get('uid') || '').slice(0, 64).replace(/[^a-zA-Z0-9_-]/g, '')
     if (!uid) return json({ error: 'uid is required' }, 400)
 
-    if (server.upgrade(req, { data: { uid } })) return
+    const ip = clientIp(req, server)
+    const isUpgrade = req.headers.get('Upgrade')?.toLowerCase() === 'websocket'
+    const rejection = take(isUpgrade ? 'connect' : 'poll', scopes(uid, ip, false))
+    if (rejection) return limited(rejection)
+
+    if (url.pathname === '/sse') return method === 'GET' ? sse(req, server, uid, url) : json({ error: 'method not allowed' }, 405)
+    if (url.pathname === '/history') return method === 'GET' ? json(listHistory(uid)) : json({ error: 'method not allowed' }, 405)
+    if (url.pathname === '/export') return method === 'GET' ? exportResponse(uid, url) : json({ error: 'method not allowed' }, 405)
+
+    if (server.upgrade(req, { data: { uid, ip, origin: publicOrigin(req) } })) return
 
-    if (method === 'GET') return json(handlePoll(uid))
+    if (method === 'GET') {
+      return json(handlePoll(uid, {
+        rid: url.searchParams.get('rid'),
+        active: url.searchParams.has('active'),
+        after: url.searchParams.get('after'),
+      }))
+    }
 
     return json({ error: 'method not allowed' }, 405)
   },
@@ -53,11 +227,15 @@ Bun.serve({
       addSocket(uid, ws)
     },
     message(ws, raw) {
-      const { uid } = ws.data
+      const { uid, ip, origin } = ws.data
       let msg
       try { msg = JSON.parse(String(raw)) }
       catch { try { ws.send(JSON.stringify({ type: 'err', message: 'bad_json' })) } catch {}; return }
-      handleMessage(uid, ws, msg)
+      // Continue and regenerate start upstream streams too, so they share the begin bucket
+      const vouched = !!msg?.token && vault.verifyToken(msg.token)?.uid === uid
+      const rejection = STARTS.includes(msg?.type) && take('begin', scopes(uid, ip, vouched))
+      if (rejection) { try { ws.send(JSON.stringify({ type: 'err', rid: msg.rid ?? null, ...rejection })) } catch {}; return }
+      handleMessage(uid, ws, msg, ip, origin)
     },
     close(ws) {
       const { uid } = ws.data
@@ -67,3 +245,21 @@ Bun.serve({
 })
 
 console.log(`🟢 us.proxy.sune.chat running on :${PORT}`)
+
+let shuttingDown = false
+async function shutdown(signal) {
+  if (shuttingDown) return
+  shuttingDown = true
+  console.log(`🟡 ${signal} received, draining for up to ${config.drainMs}ms`)
+  const { finished, evicted } = await drain(config.drainMs)
+  await Promise.race([
+    notify(`Shutdown on ${signal}: ${finished} run(s) finished while draining, ${evicted} evicted.`, evicted ? 3 : 2, ['octagonal_sign']),
+    new Promise(resolve => setTimeout(resolve, SHUTDOWN_NOTIFY_MS)),
+  ])
+  server.stop(true)
+  console.log(`🔴 stopped (${finished} finished, ${evicted} evicted)`)
+  process.exit(0)
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+process.on('SIGINT', () => shutdown('SIGINT'))
@@ -0,0 +1,117 @@
+import * as kv from './db.js'
+import { notify } from './notify.js'
+import { config, matchPattern } from './config.js'
+
+// `<capacity>/<seconds>`: bursts of `capacity`, refilled evenly over `seconds`
+function rateOf(action) {
+  const [capacity, seconds] = config.rates[action].split('/').map(Number)
+  return { capacity, perMs: capacity / (seconds * 1000) }
+}
+
+const NOTIFY_EVERY_MS = 10 * 60 * 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const buckets = new Map()
+const notified = new Map()
+
+function warn(key, msg) {
+  const now = Date.now()
+  if (now - (notified.get(key) || 0) < NOTIFY_EVERY_MS) return
+  notified.set(key, now)
+  notify(msg, 3, ['no_entry'])
+}
+
+function refill(key, rate, now) {
+  const b = buckets.get(key) || { tokens: rate.capacity, at: now }
+  b.tokens = Math.min(rate.capacity, b.tokens + (now - b.at) * rate.perMs)
+  b.at = now
+  buckets.set(key, b)
+  return b
+}
+
+// Spends one token from every scope, or none; returns null when allowed
+export function take(action, scopes) {
+  const rate = rateOf(action)
+  const now = Date.now()
+  const entries = Object.entries(scopes).filter(([, id]) => id)
+  const held = entries.map(([scope, id]) => [scope, id, refill(`${action}:${scope}:${id}`, rate, now)])
+  const blocked = held.filter(([, , b]) => b.tokens < 1)
+  if (!blocked.length) {
+    for (const [, , b] of held) b.tokens -= 1
+    return null
+  }
+  const resetAt = now + Math.ceil(Math.max(...blocked.map(([, , b]) => (1 - b.tokens) / rate.perMs)))
+  const [scope, id] = blocked[0]
+  warn(`${action}:${scope}:${id}`, `Rate limit hit: ${action} by ${scope} ${id}`)
+  return { message: 'rate_limited', action, scope, resetAt }
+}
+
+// Full buckets carry no state worth keeping
+setInterval(() => {
+  const now = Date.now()
+  for (const [key, b] of buckets) {
+    const rate = rateOf(key.slice(0, key.indexOf(':')))
+    if (b.tokens + (now - b.at) * rate.perMs >= rate.capacity) buckets.delete(key)
+  }
+}, 60_000)
+
+function periods(now = new Date()) {
+  const day = now.toISOString().slice(0, 10)
+  const month = day.slice(0, 7)
+  const nextDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+  const nextMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+  return [
+    { name: 'day', key: `d:${day}`, resetAt: nextDay, ttl: nextDay - now.getTime() + DAY_MS },
+    { name: 'month', key: `m:${month}`, resetAt: nextMonth, ttl: nextMonth - now.getTime() + DAY_MS },
+  ]
+}
+
+function price(model) {
+  const pattern = matchPattern(Object.keys(config.modelPrices), model)
+  return pattern != null ? config.modelPrices[pattern] : null
+}
+
+export function estimateCost(model, usage) {
+  const p = price(model)
+  if (!p || !usage) return 0
+  return ((usage.promptTokens || 0) * (p.prompt || 0) + (usage.completionTokens || 0) * (p.completion || 0)) / 1e6
+}
+
+// Limits follow the uid a session token vouches for, else the client IP; a bare uid is client-chosen
+export function subject(uid, ip, vouched) {
+  return vouched || !ip ? uid : `ip:${ip}`
+}
+
+export function scopes(uid, ip, vouched) {
+  return vouched || !ip ? { uid } : { ip }
+}
+
+function bump(subject, delta) {
+  for (const p of periods()) {
+    const key = `quota:${subject}:${p.key}`
+    const cur = kv.get(key) || { runs: 0, tokens: 0, cost: 0 }
+    kv.set(key, { runs: cur.runs + (delta.runs || 0), tokens: cur.tokens + (delta.tokens || 0), cost: cur.cost + (delta.cost || 0) }, p.ttl)
+  }
+}
+
+// `subject` comes from subject() above
+export function checkQuota(subject) {
+  for (const p of periods()) {
+    const used = kv.get(`quota:${subject}:${p.key}`) || { runs: 0, tokens: 0, cost: 0 }
+    for (const [metric, limit] of Object.entries(config.quotas[p.name])) {
+      if (!limit || used[metric] < limit) continue
+      warn(`quota:${subject}:${p.key}:${metric}`, `Quota exhausted: ${subject} used ${used[metric]} of ${limit} ${metric} this ${p.name}`)
+      return { message: 'quota_exceeded', period: p.name, metric, limit, used: used[metric], resetAt: p.resetAt }
+    }
+  }
+  return null
+}
+
+export function recordRun(subject) {
+  bump(subject, { runs: 1 })
+}
+
+export function recordUsage(subject, model, usage) {
+  if (!usage) return
+  bump(subject, { tokens: (usage.promptTokens || 0) + (usage.completionTokens || 0), cost: estimateCost(model, usage) })
+}
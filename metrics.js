@@ -0,0 +1,57 @@
+const DEFS = {
+  sune_runs_started_total: { type: 'counter', help: 'Runs started, by requested provider and model' },
+  sune_runs_finished_total: { type: 'counter', help: 'Runs that reached done, by answering provider and model' },
+  sune_runs_failed_total: { type: 'counter', help: 'Runs that reached error, by provider and model' },
+  sune_run_duration_seconds: { type: 'histogram', help: 'Wall time from begin to a terminal phase', buckets: [1, 5, 15, 30, 60, 120, 300, 600, 900] },
+  sune_time_to_first_token_seconds: { type: 'histogram', help: 'Wall time from begin to the first streamed output', buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 40, 80] },
+  sune_deltas_flushed_total: { type: 'counter', help: 'Delta rows written and broadcast' },
+  sune_delta_bytes_flushed_total: { type: 'counter', help: 'Text bytes carried by flushed deltas' },
+  sune_kv_pruned_total: { type: 'counter', help: 'Expired kv and delta rows deleted by the prune sweep' },
+  sune_webhooks_delivered_total: { type: 'counter', help: 'Completion webhooks acknowledged with a 2xx' },
+  sune_webhooks_failed_total: { type: 'counter', help: 'Completion webhook attempts that failed and were requeued or dropped' },
+}
+
+const series = new Map(Object.keys(DEFS).map(name => [name, new Map()]))
+
+// Callers keep label values to a bounded set; this only escapes them
+function labelKey(labels) {
+  return Object.entries(labels)
+    .map(([k, v]) => `${k}="${String(v ?? '').replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n')}"`)
+    .join(',')
+}
+
+export function inc(name, labels = {}, by = 1) {
+  const values = series.get(name)
+  const key = labelKey(labels)
+  values.set(key, (values.get(key) || 0) + by)
+}
+
+export function observe(name, value, labels = {}) {
+  const values = series.get(name)
+  const key = labelKey(labels)
+  let h = values.get(key)
+  if (!h) values.set(key, h = { buckets: DEFS[name].buckets.map(() => 0), sum: 0, count: 0 })
+  DEFS[name].buckets.forEach((le, i) => { if (value <= le) h.buckets[i]++ })
+  h.sum += value
+  h.count++
+}
+
+const braces = key => (key ? `{${key}}` : '')
+
+// `gauges` are sampled by the caller at scrape time: { name: { help, value } }
+export function render(gauges = {}) {
+  const out = []
+  for (const [name, { help, value }] of Object.entries(gauges)) {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${value}`)
+  }
+  for (const [name, def] of Object.entries(DEFS)) {
+    out.push(`# HELP ${name} ${def.help}`, `# TYPE ${name} ${def.type}`)
+    for (const [key, v] of series.get(name)) {
+      if (def.type !== 'histogram') { out.push(`${name}${braces(key)} ${v}`); continue }
+      const sep = key ? `${key},` : ''
+      def.buckets.forEach((le, i) => out.push(`${name}_bucket{${sep}le="${le}"} ${v.buckets[i]}`))
+      out.push(`${name}_bucket{${sep}le="+Inf"} ${v.count}`, `${name}_sum${braces(key)} ${v.sum}`, `${name}_count${braces(key)} ${v.count}`)
+    }
+  }
+  return out.join('\n') + '\n'
+}
@@ -0,0 +1,126 @@
+import { config, matchPattern } from './config.js'
+
+// Replacement tokens keep the redacted message readable for the model
+const REDACTIONS = {
+  email: [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[email]'],
+  // A leading +, a (area code) or the 3-3-4 dashed form, so IPs, versions and grouped ids are left alone
+  phone: [/(?<![\w+.-])(?:\+\d{1,3}[\s-]?(?:\(\d{1,4}\)|\d{1,4})(?:[\s-]?\d{2,4}){2,4}|\(\d{2,4}\)\s?\d{3,4}[\s-]?\d{3,4}|\d{3}-\d{3}-\d{4})(?![\w-]|\.\d)/g, '[phone]'],
+  apiKey: [/\b(?:sk|pk|rk)-[A-Za-z0-9_-]{16,}|\bAKIA[0-9A-Z]{16}\b|\bAIza[0-9A-Za-z_-]{35}\b|\bgh[pousr]_[A-Za-z0-9]{36,}\b|\bxox[abpr]-[A-Za-z0-9-]{10,}/g, '[secret]'],
+}
+// Streamed text is held back this far so a match split across chunks is still caught
+const HOLD_CHARS = 128
+
+function redactText(text, counts) {
+  let out = text
+  for (const name of config.redact) {
+    const [re, token] = REDACTIONS[name]
+    out = out.replace(re, () => { counts[name] = (counts[name] || 0) + 1; return token })
+  }
+  return out
+}
+
+function redactMessage(m, counts) {
+  if (typeof m?.content === 'string') return { ...m, content: redactText(m.content, counts) }
+  if (!Array.isArray(m?.content)) return m
+  return { ...m, content: m.content.map(p => (p?.type === 'text' && typeof p.text === 'string' ? { ...p, text: redactText(p.text, counts) } : p)) }
+}
+
+// Each takes { body, chain } and returns a decision to record, a rejection, or nothing
+const REQUEST = {
+  redact({ body }) {
+    const counts = {}
+    body.messages = body.messages.map(m => redactMessage(m, counts))
+    return Object.keys(counts).length ? { decision: { action: 'redacted', counts } } : null
+  },
+  systemPrompt({ body }) {
+    if (!config.systemPrompt) return null
+    body.messages = [{ role: 'system', content: config.systemPrompt }, ...body.messages]
+    return { decision: { action: 'injected' } }
+  },
+  denyModels({ chain }) {
+    const denied = chain.find(entry => matchPattern(config.deniedModels, entry.model) != null)
+    if (!denied) return null
+    return { decision: { action: 'blocked', model: denied.model }, rejection: { message: 'model_denied', model: denied.model } }
+  },
+}
+
+// Runs the configured request middleware in order; stops at the first rejection
+export function onRequest(ctx) {
+  const decisions = []
+  for (const name of config.middleware) {
+    const result = REQUEST[name]?.(ctx)
+    if (!result) continue
+    decisions.push({ middleware: name, ...result.decision, at: Date.now() })
+    if (result.rejection) return { decisions, rejection: result.rejection }
+  }
+  return { decisions, rejection: null }
+}
+
+// Per-run response scanner, or null when 'scan' is off; hits are tallied into `decisions`
+export function scanner(decisions) {
+  if (!config.middleware.includes('scan') || !config.responseRules.length) return null
+  const rules = config.responseRules.map(rule => ({ ...rule, re: new RegExp(rule.pattern, 'gi') }))
+  let buf = ''
+
+  const record = (rule, n) => {
+    let d = decisions.find(x => x.middleware === 'scan' && x.pattern === rule.pattern)
+    if (!d) decisions.push(d = { middleware: 'scan', action: rule.action, pattern: rule.pattern, count: 0, at: Date.now() })
+    d.count += n
+  }
+
+  // Rewrites only ever see text on its way out, so a replacement is never scanned again
+  const rewrite = text => {
+    for (const rule of rules) {
+      if (rule.action !== 'rewrite') continue
+      let n = 0
+      text = text.replace(rule.re, () => { n++; return rule.replacement ?? '[redacted]' })
+      if (n) record(rule, n)
+    }
+    return text
+  }
+
+  // Backs the release point off any rewrite match it would split, so the whole match stays held
+  const cutAt = cut => {
+    for (let moved = true; moved;) {
+      moved = false
+      for (const rule of rules) {
+        if (rule.action !== 'rewrite') continue
+        for (const m of buf.matchAll(rule.re)) {
+          if (m.index < cut && m.index + m[0].length > cut) { cut = m.index; moved = true }
+        }
+      }
+    }
+    return cut
+  }
+
+  return {
+    // Returns the text that is safe to emit now, and a stop reason when a 'stop' rule matched
+    push(text) {
+      buf += text
+      for (const rule of rules) {
+        if (rule.action !== 'stop') continue
+        rule.re.lastIndex = 0
+        const m = rule.re.exec(buf)
+        if (!m) continue
+        record(rule, 1)
+        const out = rewrite(buf.slice(0, m.index))
+        buf = ''
+        return { text: out, stop: `Stopped by response policy (${rule.pattern})` }
+      }
+      const cut = cutAt(Math.max(0, buf.length - HOLD_CHARS))
+      const out = rewrite(buf.slice(0, cut))
+      buf = buf.slice(cut)
+      return { text: out, stop: null }
+    },
+    // Length of the text held back, which is output even though nothing has been emitted yet
+    held() {
+      return buf.length
+    },
+    // Releases whatever is still held back
+    end() {
+      const out = rewrite(buf)
+      buf = ''
+      return out
+    },
+  }
+}
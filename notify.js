@@ -1,8 +1,8 @@
 const NTFY_URL = process.env.NTFY_URL || ''
 
 export function notify(msg, priority = 3, tags = []) {
-  if (!NTFY_URL) return
-  fetch(NTFY_URL, {
+  if (!NTFY_URL) return Promise.resolve()
+  return fetch(NTFY_URL, {
     method: 'POST',
     body: msg,
     headers: {
@@ -1,54 +1,155 @@
 import OpenAI from 'openai'
 import Anthropic from '@anthropic-ai/sdk'
+import { config } from './config.js'
+import * as attachments from './attachments.js'
 
-function extractText(m) {
+const FINISH_REASONS = {
+  stop: 'stop', end_turn: 'stop', stop_sequence: 'stop', pause_turn: 'stop', STOP: 'stop', completed: 'stop',
+  length: 'length', max_tokens: 'length', max_output_tokens: 'length', model_context_window_exceeded: 'length', MAX_TOKENS: 'length',
+  content_filter: 'content_filter', refusal: 'content_filter', SAFETY: 'content_filter', RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter', PROHIBITED_CONTENT: 'content_filter', SPII: 'content_filter', IMAGE_SAFETY: 'content_filter',
+  tool_calls: 'tool_calls', tool_use: 'tool_calls', function_call: 'tool_calls',
+  error: 'error', failed: 'error', MALFORMED_FUNCTION_CALL: 'error', OTHER: 'error',
+}
+
+function finishReason(raw) {
+  return FINISH_REASONS[raw] || 'stop'
+}
+
+// Only finite counts are kept so partial reports (e.g. Anthropic's split start/delta usage) merge cleanly
+function toUsage(promptTokens, completionTokens, reasoningTokens) {
+  return Object.entries({ promptTokens, completionTokens, reasoningTokens })
+    .reduce((acc, [k, v]) => (Number.isFinite(v) ? { ...acc, [k]: v } : acc), {})
+}
+
+// Mirrors the SDK error shape (status, headers) so retry logic treats every provider alike
+async function httpError(label, resp) {
+  const err = new Error(`${label} API error: ${resp.status} ${await resp.text()}`)
+  err.status = resp.status
+  err.headers = resp.headers
+  return err
+}
+
+// Generated images use OpenRouter's delta.images shape so queueDelta treats every provider alike
+const imagePart = (mime, b64) => ({ type: 'image_url', image_url: { url: `data:${mime};base64,${b64}` } })
+
+// OpenAI-style response_format carries the schema as json_schema.schema; some clients inline it
+export const responseSchema = format => (format?.type === 'json_schema' ? format.json_schema?.schema || format.json_schema || null : null)
+
+const wantsImages = body => Array.isArray(body.modalities) && body.modalities.includes('image')
+
+export function extractText(m) {
   if (!m) return ''
   if (typeof m.content === 'string') return m.content
   if (!Array.isArray(m.content)) return ''
   return m.content.filter(p => p && ['text', 'input_text', 'output_text'].includes(p.type)).map(p => p.text ?? p.content ?? '').join('')
 }
 
+function parseArgs(args) {
+  try { return JSON.parse(args || '{}') } catch { return {} }
+}
+
+function functionTools(body) {
+  return (Array.isArray(body.tools) ? body.tools : []).filter(t => t?.type === 'function' && t.function?.name).map(t => t.function)
+}
+
+function toolChoiceName(choice) {
+  return choice?.function?.name || choice?.name || null
+}
+
 function isMultimodal(m) {
   return m && Array.isArray(m.content) && m.content.some(p => p?.type && !['text', 'input_text', 'output_text'].includes(p.type))
 }
 
+// Attachments were checked against the provider at begin, so unsupported kinds only reach here as null
 function mapPartToResponses(part, role) {
   const type = part?.type || 'text'
-  if (['image_url', 'input_image'].includes(type)) {
-    const url = part?.image_url?.url || part?.image_url
-    return url ? { type: 'input_image', image_url: String(url) } : null
-  }
   const textType = role === 'assistant' ? 'output_text' : 'input_text'
   if (['text', 'input_text', 'output_text'].includes(type)) return { type: textType, text: String(part.text ?? part.content ?? '') }
-  return { type: textType, text: `[${type}:${part?.file?.filename || 'file'}]` }
+  const a = attachments.parse(part)
+  if (a?.kind === 'image') return { type: 'input_image', image_url: a.data ? attachments.dataUrl(a) : a.url }
+  if (a?.kind === 'document') {
+    return a.data
+      ? { type: 'input_file', filename: a.filename || 'document.pdf', file_data: attachments.dataUrl(a) }
+      : { type: 'input_file', file_url: a.url }
+  }
+  if (a?.kind === 'text' && a.data) return { type: 'input_text', text: `--- ${a.filename || 'file'} ---\n${attachments.textOf(a)}` }
+  return null
+}
+
+function mapMessageToResponses(m, multimodal) {
+  if (m.role === 'tool') return [{ type: 'function_call_output', call_id: m.tool_call_id, output: extractText(m) }]
+  const items = []
+  if (!m.tool_calls?.length || extractText(m) || isMultimodal(m)) {
+    items.push(multimodal
+      ? {
+          role: m.role,
+          content: Array.isArray(m.content)
+            ? m.content.map(p => mapPartToResponses(p, m.role)).filter(Boolean)
+            : [{ type: m.role === 'assistant' ? 'output_text' : 'input_text', text: String(m.content || '') }],
+        }
+      : { role: m.role, content: extractText(m) })
+  }
+  for (const tc of m.tool_calls || []) {
+    items.push({ type: 'function_call', call_id: tc.id, name: tc.function?.name, arguments: tc.function?.arguments || '{}' })
+  }
+  return items
 }
 
 function buildInputForResponses(messages) {
   if (!Array.isArray(messages) || !messages.length) return ''
-  if (!messages.some(isMultimodal)) {
-    if (messages.length === 1) return extractText(messages[0])
-    return messages.map(m => ({ role: m.role, content: extractText(m) }))
+  const multimodal = messages.some(isMultimodal)
+  const [first] = messages
+  if (!multimodal && messages.length === 1 && first.role !== 'tool' && !first.tool_calls?.length) return extractText(first)
+  return messages.flatMap(m => mapMessageToResponses(m, multimodal))
+}
+
+function mapPartToClaude(p) {
+  if (p.type === 'text' && p.text) return { type: 'text', text: p.text }
+  const a = attachments.parse(p)
+  const source = a?.data ? { type: 'base64', media_type: a.mime, data: a.data } : { type: 'url', url: a?.url }
+  if (a?.kind === 'image') return { type: 'image', source }
+  if (a?.kind === 'document') return { type: 'document', source, ...(a.filename && { title: a.filename }) }
+  if (a?.kind === 'text' && a.data) {
+    return { type: 'document', source: { type: 'text', media_type: 'text/plain', data: attachments.textOf(a) }, ...(a.filename && { title: a.filename }) }
   }
-  return messages.map(m => ({
-    role: m.role,
-    content: Array.isArray(m.content)
-      ? m.content.map(p => mapPartToResponses(p, m.role)).filter(Boolean)
-      : [{ type: m.role === 'assistant' ? 'output_text' : 'input_text', text: String(m.content || '') }],
-  }))
+  return null
+}
+
+function mapToClaudeMessages(messages) {
+  return messages.filter(m => m.role !== 'system').reduce((acc, m) => {
+    // Tool results travel as user turns; consecutive results must share one turn
+    const role = m.role === 'assistant' ? 'assistant' : 'user'
+    const content = m.role === 'tool'
+      ? [{ type: 'tool_result', tool_use_id: m.tool_call_id, content: extractText(m) }]
+      : [
+          ...(typeof m.content === 'string' ? [mapPartToClaude({ type: 'text', text: m.content })] : (m.content || []).map(mapPartToClaude)),
+          ...(m.tool_calls || []).map(tc => ({ type: 'tool_use', id: tc.id, name: tc.function?.name, input: parseArgs(tc.function?.arguments) })),
+        ].filter(Boolean)
+    if (!content.length) return acc
+    if (acc.length > 0 && acc.at(-1).role === role) acc.at(-1).content.push(...content)
+    else acc.push({ role, content })
+    return acc
+  }, [])
 }
 
 function mapToGoogleContents(messages) {
+  // Gemini matches function responses by name, which tool messages only carry by call id
+  const toolNames = new Map(messages.flatMap(m => (m.tool_calls || []).map(tc => [tc.id, tc.function?.name])))
   const contents = messages.reduce((acc, m) => {
     const role = m.role === 'assistant' ? 'model' : 'user'
-    const msgContent = Array.isArray(m.content) ? m.content : [{ type: 'text', text: String(m.content ?? '') }]
-    const parts = msgContent.map(p => {
-      if (p.type === 'text') return { text: p.text || '' }
-      if (p.type === 'image_url' && p.image_url?.url) {
-        const match = p.image_url.url.match(/^data:(image\/\w+);base64,(.*)$/)
-        if (match) return { inline_data: { mime_type: match[1], data: match[2] } }
-      }
-      return null
-    }).filter(Boolean)
+    const msgContent = Array.isArray(m.content) ? m.content : (m.content ? [{ type: 'text', text: String(m.content) }] : [])
+    const parts = m.role === 'tool'
+      ? [{ functionResponse: { name: m.name || toolNames.get(m.tool_call_id) || 'tool', response: { content: extractText(m) } } }]
+      : [
+          ...msgContent.map(p => {
+            if (p.type === 'text') return { text: p.text || '' }
+            const a = attachments.parse(p)
+            if (!a || !['image', 'document', 'text', 'audio'].includes(a.kind)) return null
+            return a.data ? { inline_data: { mime_type: a.mime, data: a.data } } : { file_data: { mime_type: a.mime, file_uri: a.url } }
+          }),
+          ...(m.tool_calls || []).map(tc => ({ functionCall: { name: tc.function?.name, args: parseArgs(tc.function?.arguments) } })),
+        ].filter(Boolean)
     if (!parts.length) return acc
     if (acc.length > 0 && acc.at(-1).role === role) acc.at(-1).parts.push(...parts)
     else acc.push({ role, parts })
@@ -58,54 +159,83 @@ function mapToGoogleContents(messages) {
   return contents
 }
 
-export async function streamOpenRouter({ apiKey, body, signal, onDelta, isRunning }) {
-  const resp = await fetch('https://openrouter.ai/api/v1/chat/completions', {
+// Shared Chat Completions SSE reader for OpenRouter and any OpenAI-compatible server
+async function streamChatCompletions({ label, url, headers, body, signal, onDelta, onReasoning, onUsage, onFinish, onToolCall, onChunk, isRunning }) {
+  const resp = await fetch(url, {
     method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-      'HTTP-Referer': 'https://sune.chat',
-      'X-Title': 'Sune',
-    },
+    headers: { 'Content-Type': 'application/json', ...headers },
     body: JSON.stringify(body),
     signal,
   })
-  if (!resp.ok) throw new Error(`OpenRouter API error: ${resp.status} ${await resp.text()}`)
+  if (!resp.ok) throw await httpError(label, resp)
 
   const reader = resp.body.getReader()
   const dec = new TextDecoder()
-  let buf = '', hasReasoning = false, hasContent = false
+  let buf = ''
 
   while (isRunning()) {
     const { done, value } = await reader.read()
     if (done) break
+    // Keepalive comments and reasoning the client never sees still prove the upstream is alive
+    onChunk()
     buf += dec.decode(value, { stream: true })
     const lines = buf.split('\n')
     buf = lines.pop()
     for (const line of lines) {
-      if (!line.startsWith('data: ')) continue
-      const data = line.substring(6).trim()
+      if (!line.startsWith('data:')) continue
+      const data = line.substring(5).trim()
       if (data === '[DONE]') return
       try {
-        const delta = JSON.parse(data).choices?.[0]?.delta
+        const chunk = JSON.parse(data)
+        const u = chunk.usage
+        if (u) onUsage(toUsage(u.prompt_tokens, u.completion_tokens, u.completion_tokens_details?.reasoning_tokens))
+        const choice = chunk.choices?.[0]
+        if (choice?.finish_reason) onFinish(finishReason(choice.finish_reason))
+        const delta = choice?.delta
         if (!delta) continue
-        if (delta.reasoning && body.reasoning?.exclude !== true) {
-          onDelta(delta.reasoning)
-          hasReasoning = true
-        }
-        if (delta.content) {
-          if (hasReasoning && !hasContent) onDelta('\n')
-          onDelta(delta.content)
-          hasContent = true
-        }
+        // vLLM and DeepSeek-style servers call it reasoning_content
+        const reasoning = delta.reasoning ?? delta.reasoning_content
+        if (reasoning && body.reasoning?.exclude !== true) onReasoning(reasoning)
+        if (delta.content) onDelta(delta.content)
         if (delta.images) onDelta('', delta.images)
+        for (const tc of delta.tool_calls || []) {
+          onToolCall({ index: tc.index ?? 0, id: tc.id, name: tc.function?.name, arguments: tc.function?.arguments || '' })
+        }
       } catch {}
     }
   }
 }
 
-export async function streamOpenAI({ apiKey, body, signal, onDelta, isRunning }) {
-  const client = new OpenAI({ apiKey })
+export async function streamOpenRouter({ apiKey, ...rest }) {
+  return streamChatCompletions({
+    ...rest,
+    label: 'OpenRouter',
+    url: 'https://openrouter.ai/api/v1/chat/completions',
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'HTTP-Referer': 'https://sune.chat',
+      'X-Title': 'Sune',
+    },
+  })
+}
+
+// Self-hosted or third-party Chat Completions servers; baseUrl must be on the compatBaseUrls allowlist
+export async function streamCompatible({ apiKey, baseUrl, headers, body, ...rest }) {
+  const base = String(baseUrl || '').replace(/\/+$/, '')
+  if (!config.compatBaseUrls.some(u => u.replace(/\/+$/, '') === base)) throw new Error(`Base URL not allowed: ${base || '(none)'}`)
+  const custom = Object.entries(headers && typeof headers === 'object' ? headers : {})
+    .reduce((acc, [k, v]) => (typeof v === 'string' ? { ...acc, [k]: v } : acc), {})
+  return streamChatCompletions({
+    ...rest,
+    label: base,
+    url: `${base}/chat/completions`,
+    headers: { ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }), ...custom },
+    body: { ...body, stream: true, stream_options: { include_usage: true, ...body.stream_options } },
+  })
+}
+
+export async function streamOpenAI({ apiKey, body, signal, onDelta, onReasoning, onUsage, onFinish, onToolCall, onChunk, isRunning }) {
+  const client = new OpenAI({ apiKey, maxRetries: 0 })
   const online = (body.model ?? '').endsWith(':online')
   const model = online ? body.model.slice(0, -7) : body.model
 
@@ -119,6 +249,25 @@ export async function streamOpenAI({ apiKey, body, signal, onDelta, isRunning })
   if (Number.isFinite(+body.top_p)) params.top_p = +body.top_p
   if (body.reasoning?.effort) params.reasoning = { effort: body.reasoning.effort }
   if (body.verbosity) params.text = { verbosity: body.verbosity }
+  if (responseSchema(body.response_format)) {
+    const { name, strict } = body.response_format.json_schema
+    params.text = { ...params.text, format: { type: 'json_schema', name: name || 'response', schema: responseSchema(body.response_format), strict: strict ?? false } }
+  } else if (body.response_format?.type === 'json_object') {
+    params.text = { ...params.text, format: { type: 'json_object' } }
+  }
+
+  const tools = functionTools(body).map(f => ({
+    type: 'function',
+    name: f.name,
+    description: f.description,
+    parameters: f.parameters ?? { type: 'object', properties: {} },
+    strict: f.strict ?? false,
+  }))
+  if (tools.length) params.tools = tools
+  if (body.tool_choice) {
+    const name = toolChoiceName(body.tool_choice)
+    params.tool_choice = typeof body.tool_choice === 'string' ? body.tool_choice : name && { type: 'function', name }
+  }
 
   if (online) {
     params.tools = [
@@ -126,23 +275,50 @@ export async function streamOpenAI({ apiKey, body, signal, onDelta, isRunning })
       { type: 'web_search', external_web_access: true },
     ]
   }
+  if (wantsImages(body)) params.tools = [...(params.tools || []), { type: 'image_generation' }]
+
+  // output_index -> tool call index
+  const toolCalls = new Map()
 
   const stream = await client.responses.stream(params)
   try {
     for await (const event of stream) {
       if (!isRunning()) break
-      if (event.type.endsWith('.delta') && event.delta) onDelta(event.delta)
+      onChunk()
+      if (['response.completed', 'response.incomplete', 'response.failed'].includes(event.type)) {
+        const { usage: u, status, incomplete_details } = event.response || {}
+        if (u) onUsage(toUsage(u.input_tokens, u.output_tokens, u.output_tokens_details?.reasoning_tokens))
+        onFinish(status === 'completed' && toolCalls.size ? 'tool_calls' : finishReason(incomplete_details?.reason || status))
+        continue
+      }
+      if (event.type === 'response.output_item.added' && event.item?.type === 'function_call') {
+        toolCalls.set(event.output_index, toolCalls.size)
+        onToolCall({ index: toolCalls.get(event.output_index), id: event.item.call_id, name: event.item.name, arguments: event.item.arguments || '' })
+        continue
+      }
+      if (event.type === 'response.output_item.done' && event.item?.type === 'image_generation_call') {
+        if (event.item.result) onDelta('', [imagePart(`image/${event.item.output_format || 'png'}`, event.item.result)])
+        continue
+      }
+      if (event.type === 'response.function_call_arguments.delta') {
+        if (toolCalls.has(event.output_index)) onToolCall({ index: toolCalls.get(event.output_index), arguments: event.delta })
+        continue
+      }
+      if (!event.type.endsWith('.delta') || !event.delta) continue
+      if (event.type.startsWith('response.reasoning')) onReasoning(event.delta)
+      else if (event.type === 'response.output_text.delta') onDelta(event.delta)
     }
   } finally {
     try { stream.controller?.abort() } catch {}
   }
 }
 
-export async function streamClaude({ apiKey, body, signal, onDelta, isRunning }) {
-  const client = new Anthropic({ apiKey })
+const JSON_TOOL = 'json_output'
+
+export async function streamClaude({ apiKey, body, signal, onDelta, onReasoning, onUsage, onFinish, onToolCall, onChunk, isRunning }) {
+  const client = new Anthropic({ apiKey, maxRetries: 0 })
   const online = (body.model ?? '').endsWith(':online')
   const model = online ? body.model.slice(0, -7) : body.model
-  const CLAUDE_MAX_TOKENS = 128000
 
   const system = body.messages
     .filter(m => m.role === 'system')
@@ -150,18 +326,8 @@ export async function streamClaude({ apiKey, body, signal, onDelta, isRunning })
     .join('\n\n') || body.system
   const payload = {
     model,
-    messages: body.messages.filter(m => m.role !== 'system').map(m => ({
-      role: m.role,
-      content: typeof m.content === 'string' ? m.content : (m.content || []).map(p => {
-        if (p.type === 'text' && p.text) return { type: 'text', text: p.text }
-        if (p.type === 'image_url') {
-          const match = String(p.image_url?.url || p.image_url || '').match(/^data:(image\/\w+);base64,(.*)$/)
-          if (match) return { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } }
-        }
-        return null
-      }).filter(Boolean),
-    })).filter(m => m.content.length),
-    max_tokens: CLAUDE_MAX_TOKENS,
+    messages: mapToClaudeMessages(body.messages),
+    max_tokens: Math.min(+body.max_tokens > 0 ? +body.max_tokens : config.claudeMaxTokens, config.claudeMaxTokens),
   }
   if (system) payload.system = system
   if (Number.isFinite(+body.temperature)) payload.temperature = +body.temperature
@@ -173,6 +339,18 @@ export async function streamClaude({ apiKey, body, signal, onDelta, isRunning })
     payload.output_config = { effort }
   }
 
+  const tools = functionTools(body).map(f => ({
+    name: f.name,
+    description: f.description,
+    input_schema: f.parameters ?? { type: 'object', properties: {} },
+  }))
+  if (tools.length) payload.tools = tools
+  if (body.tool_choice) {
+    const name = toolChoiceName(body.tool_choice)
+    const choice = { auto: { type: 'auto' }, required: { type: 'any' }, none: { type: 'none' } }[body.tool_choice] || (name && { type: 'tool', name })
+    if (choice) payload.tool_choice = choice
+  }
+
   if (online) {
     payload.tools = [
       ...(payload.tools || []),
@@ -180,30 +358,60 @@ export async function streamClaude({ apiKey, body, signal, onDelta, isRunning })
     ]
   }
 
+  // json_schema has a native structured output; json_object has no schema to give it, so a forced tool carries the object
+  if (responseSchema(body.response_format)) {
+    payload.output_config = { ...payload.output_config, format: { type: 'json_schema', schema: responseSchema(body.response_format) } }
+  } else if (body.response_format?.type === 'json_object') {
+    // Extended thinking rejects a forced tool_choice
+    delete payload.thinking
+    payload.tools = [...(payload.tools || []), { name: JSON_TOOL, description: 'Respond with a JSON object.', input_schema: { type: 'object' } }]
+    payload.tool_choice = { type: 'tool', name: JSON_TOOL }
+  }
+  // Content block indexes of the forced JSON tool, whose input is the answer itself
+  const jsonBlocks = new Set()
+
   const includeThoughts = body.reasoning?.exclude !== true
-  let hasThinking = false, hasContent = false
+  // content block index -> tool call index; server tools (web search) also stream input_json_delta
+  const toolCalls = new Map()
 
   const stream = client.messages.stream(payload)
   try {
     for await (const event of stream) {
       if (!isRunning()) break
+      onChunk()
+      if (event.type === 'message_start') {
+        const u = event.message?.usage || {}
+        onUsage(toUsage((u.input_tokens ?? 0) + (u.cache_creation_input_tokens ?? 0) + (u.cache_read_input_tokens ?? 0)))
+        continue
+      }
+      if (event.type === 'message_delta') {
+        if (Number.isFinite(event.usage?.output_tokens)) onUsage(toUsage(undefined, event.usage.output_tokens))
+        const raw = event.delta?.stop_reason
+        if (raw) onFinish(raw === 'tool_use' && jsonBlocks.size && !toolCalls.size ? 'stop' : finishReason(raw))
+        continue
+      }
+      if (event.type === 'content_block_start' && event.content_block?.name === JSON_TOOL) {
+        jsonBlocks.add(event.index)
+        continue
+      }
+      if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+        toolCalls.set(event.index, toolCalls.size)
+        onToolCall({ index: toolCalls.get(event.index), id: event.content_block.id, name: event.content_block.name, arguments: '' })
+        continue
+      }
       if (event.type !== 'content_block_delta') continue
       const delta = event.delta
-      if (delta.type === 'thinking_delta' && includeThoughts) {
-        onDelta(delta.thinking)
-        hasThinking = true
-      } else if (delta.type === 'text_delta') {
-        if (hasThinking && !hasContent) onDelta('\n')
-        onDelta(delta.text)
-        hasContent = true
-      }
+      if (delta.type === 'thinking_delta' && includeThoughts) onReasoning(delta.thinking)
+      else if (delta.type === 'text_delta') onDelta(delta.text)
+      else if (delta.type === 'input_json_delta' && jsonBlocks.has(event.index)) onDelta(delta.partial_json)
+      else if (delta.type === 'input_json_delta' && toolCalls.has(event.index)) onToolCall({ index: toolCalls.get(event.index), arguments: delta.partial_json })
     }
   } finally {
     try { stream.controller?.abort() } catch {}
   }
 }
 
-export async function streamGoogle({ apiKey, body, signal, onDelta, isRunning }) {
+export async function streamGoogle({ apiKey, body, signal, onDelta, onReasoning, onUsage, onFinish, onToolCall, onChunk, isRunning }) {
   const generationConfig = Object.entries({
     temperature: body.temperature,
     topP: body.top_p,
@@ -216,6 +424,7 @@ export async function streamGoogle({ apiKey, body, signal, onDelta, isRunning })
       ...(body.reasoning.effort && body.reasoning.effort !== 'default' && { thinkingLevel: body.reasoning.effort }),
     }
   }
+  if (wantsImages(body)) generationConfig.responseModalities = body.modalities.map(m => m.toUpperCase())
   if (body.response_format?.type?.startsWith('json')) {
     generationConfig.responseMimeType = 'application/json'
     if (body.response_format.json_schema) {
@@ -225,15 +434,29 @@ export async function streamGoogle({ apiKey, body, signal, onDelta, isRunning })
         for (const k in s) if (Object.hasOwn(s, k)) n[k] = (k === 'type' && typeof s[k] === 'string') ? s[k].toUpperCase() : translate(s[k])
         return n
       }
-      generationConfig.responseSchema = translate(body.response_format.json_schema.schema || body.response_format.json_schema)
+      generationConfig.responseSchema = translate(responseSchema(body.response_format))
     }
   }
 
   const model = (body.model ?? '').replace(/:online$/, '')
+  const functionDeclarations = functionTools(body).map(f => ({
+    name: f.name,
+    description: f.description,
+    ...(f.parameters && { parametersJsonSchema: f.parameters }),
+  }))
+  const tools = [
+    ...(functionDeclarations.length ? [{ functionDeclarations }] : []),
+    ...((body.model ?? '').endsWith(':online') ? [{ google_search: {} }] : []),
+  ]
   const payload = {
     contents: mapToGoogleContents(body.messages),
     ...(Object.keys(generationConfig).length && { generationConfig }),
-    ...((body.model ?? '').endsWith(':online') && { tools: [{ google_search: {} }] }),
+    ...(tools.length && { tools }),
+  }
+  if (body.tool_choice && functionDeclarations.length) {
+    const name = toolChoiceName(body.tool_choice)
+    const mode = { auto: 'AUTO', required: 'ANY', none: 'NONE' }[body.tool_choice] || (name ? 'ANY' : 'AUTO')
+    payload.toolConfig = { functionCallingConfig: { mode, ...(name && { allowedFunctionNames: [name] }) } }
   }
 
   const resp = await fetch(
@@ -245,32 +468,124 @@ export async function streamGoogle({ apiKey, body, signal, onDelta, isRunning })
       signal,
     }
   )
-  if (!resp.ok) throw new Error(`Google API error: ${resp.status} ${await resp.text()}`)
+  if (!resp.ok) throw await httpError('Google', resp)
 
   const reader = resp.body.getReader()
   const dec = new TextDecoder()
-  let buf = '', hasReasoning = false, hasContent = false
+  let buf = '', toolCount = 0
 
   while (isRunning()) {
     const { done, value } = await reader.read()
     if (done) break
+    onChunk()
     buf += dec.decode(value, { stream: true })
-    for (const line of buf.split('\n')) {
+    // Hold back the trailing partial line so a complete chunk is never handled twice
+    const lines = buf.split('\n')
+    buf = lines.pop()
+    for (const line of lines) {
       if (!line.startsWith('data: ')) continue
       try {
-        JSON.parse(line.substring(6))?.candidates?.[0]?.content?.parts?.forEach(p => {
-          if (p.thought?.thought) {
-            onDelta(p.thought.thought)
-            hasReasoning = true
+        const chunk = JSON.parse(line.substring(6))
+        const u = chunk?.usageMetadata
+        // candidatesTokenCount excludes thoughts, unlike the other vendors' completion counts
+        if (u) onUsage(toUsage(u.promptTokenCount, (u.candidatesTokenCount ?? 0) + (u.thoughtsTokenCount ?? 0), u.thoughtsTokenCount))
+        const candidate = chunk?.candidates?.[0]
+        candidate?.content?.parts?.forEach(p => {
+          // Gemini sends each function call whole, with optional id
+          if (p.functionCall) {
+            const { id, name, args } = p.functionCall
+            onToolCall({ index: toolCount++, id: id || `call_${crypto.randomUUID()}`, name, arguments: JSON.stringify(args ?? {}) })
+            return
           }
-          if (p.text) {
-            if (hasReasoning && !hasContent) onDelta('\n')
-            onDelta(p.text)
-            hasContent = true
+          // Draft images produced while thinking are not part of the answer
+          if (p.inlineData) {
+            if (p.thought !== true && p.inlineData.data) onDelta('', [imagePart(p.inlineData.mimeType || 'image/png', p.inlineData.data)])
+            return
           }
+          // Gemini flags thought summaries with `thought: true` on an ordinary text part
+          if (p.thought === true) onReasoning(p.text)
+          else if (p.thought?.thought) onReasoning(p.thought.thought)
+          else if (p.text) onDelta(p.text)
         })
+        if (candidate?.finishReason) {
+          onFinish(toolCount && candidate.finishReason === 'STOP' ? 'tool_calls' : finishReason(candidate.finishReason))
+        }
       } catch {}
     }
-    buf = buf.slice(buf.lastIndexOf('\n') + 1)
   }
 }
+
+// 1x1 PNG, enough to exercise the image path and the blob store
+const MOCK_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg=='
+const MOCK_WORDS = ['alpha', 'beta', 'gamma', 'delta', 'proxy', 'stream', 'token', 'batch', 'flush', 'replay', 'socket', 'quota']
+// Attempts seen per request body, so `errorAttempts` can fail only the first few retries
+const mockAttempts = new WeakMap()
+
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Scripted text is split on whitespace; otherwise `count` words come from a seeded generator
+function mockTokens(script, count, rand) {
+  if (typeof script === 'string') return script.match(/\S+\s*/g) || []
+  return Array.from({ length: count }, () => `${MOCK_WORDS[Math.floor(rand() * MOCK_WORDS.length)]} `)
+}
+
+function pause(ms, signal) {
+  return new Promise(resolve => {
+    const t = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => { clearTimeout(t); resolve() }, { once: true })
+  })
+}
+
+// Offline provider driven by body.mock: { text | tokens, reasoning, tokensPerSecond, images, toolCalls,
+// stallAfter + stallMs, failAfter, status + retryAfter + errorAttempts + errorAfter, finishReason, seed }
+export async function streamMock({ body, signal, onDelta, onReasoning, onUsage, onFinish, onToolCall, onChunk, isRunning }) {
+  if (!config.mockProvider) throw new Error('Mock provider is disabled')
+  const m = body.mock && typeof body.mock === 'object' ? body.mock : {}
+  const attempt = (mockAttempts.get(body) || 0) + 1
+  mockAttempts.set(body, attempt)
+  // Without errorAfter the API error comes before any output, with it after that many tokens
+  const failing = m.status && attempt <= (m.errorAttempts ?? Infinity)
+  const apiError = () => {
+    const err = new Error(`Mock API error: ${m.status}`)
+    err.status = +m.status
+    err.headers = new Headers(m.retryAfter != null ? { 'retry-after': String(m.retryAfter) } : {})
+    return err
+  }
+  if (failing && m.errorAfter == null) throw apiError()
+
+  const rand = mulberry32(Number.isFinite(+m.seed) ? +m.seed : 1)
+  const reasoning = typeof m.reasoning === 'string' || +m.reasoning > 0 ? mockTokens(m.reasoning, +m.reasoning || 0, rand) : []
+  const content = mockTokens(m.text, Number.isFinite(+m.tokens) ? +m.tokens : 50, rand)
+  const interval = 1000 / Math.max(1, +m.tokensPerSecond || 50)
+  const start = Date.now()
+  let emitted = 0
+
+  const steps = [...reasoning.map(t => () => onReasoning(t)), ...content.map(t => () => onDelta(t))]
+  for (const step of steps) {
+    if (!isRunning()) return
+    if (emitted === +m.failAfter) throw new Error(`Mock stream failed after ${emitted} tokens`)
+    if (failing && emitted === +m.errorAfter) throw apiError()
+    if (emitted === +m.stallAfter && +m.stallMs > 0) await pause(+m.stallMs, signal)
+    const wait = start + emitted * interval - Date.now()
+    if (wait > 0) await pause(wait, signal)
+    if (!isRunning()) return
+    onChunk()
+    step()
+    emitted++
+  }
+
+  for (let i = 0; i < (+m.images || 0); i++) onDelta('', [imagePart('image/png', MOCK_PNG)])
+  const calls = Array.isArray(m.toolCalls) ? m.toolCalls : []
+  calls.forEach((tc, index) => onToolCall({ index, id: `call_mock_${index}`, name: tc.name || 'tool', arguments: JSON.stringify(tc.arguments ?? {}) }))
+
+  const promptTokens = (body.messages || []).reduce((n, msg) => n + Math.ceil(extractText(msg).length / 4), 0)
+  onUsage(toUsage(promptTokens, reasoning.length + content.length, reasoning.length))
+  onFinish(m.finishReason || (calls.length ? 'tool_calls' : 'stop'))
+}
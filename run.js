@@ -1,62 +1,123 @@
 import * as kv from './db.js'
 import { notify } from './notify.js'
-import { streamOpenRouter, streamOpenAI, streamClaude, streamGoogle } from './providers.js'
+import { inc, observe } from './metrics.js'
+import * as vault from './vault.js'
+import * as limits from './limits.js'
+import * as webhooks from './webhooks.js'
+import * as blobs from './blobs.js'
+import * as attachments from './attachments.js'
+import * as middleware from './middleware.js'
+import { config, onReload, resolve, matchPattern } from './config.js'
+import { streamOpenRouter, streamOpenAI, streamClaude, streamGoogle, streamCompatible, streamMock, extractText, responseSchema } from './providers.js'
+import { validate } from './schema.js'
 
-const BATCH_MS = 800
-const BATCH_BYTES = 3400
-const MAX_RUN_MS = 12 * 60 * 1000
-const CLEANUP_INTERVAL_MS = 60_000
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504, 529]
+const MAX_FALLBACKS = 4
+const PROVIDERS = { openai: streamOpenAI, google: streamGoogle, claude: streamClaude, compatible: streamCompatible, mock: streamMock }
+// Providers that can run without an API key
+const KEYLESS = ['compatible', 'mock']
+// Begin fields that steer the proxy and must not be forwarded upstream
+const PROTOCOL_FIELDS = ['type', 'rid', 'apiKey', 'token', 'provider', 'after', 'fallbacks', 'baseUrl', 'headers', 'callbackUrl', 'callbackSecret']
+const WATCHDOG_TICK_MS = 1000
+const LIVE_MARGIN_MS = 5 * 60 * 1000
+const EVICTED_MESSAGE = 'The run was interrupted by a server restart.'
+// A done run can be continued when it hit the token limit or was stopped by the user
+const CONTINUABLE = ['length', 'stopped']
+// Providers that treat a trailing assistant message as a prefix to extend rather than a finished turn
+const PREFILL = ['claude', 'compatible', 'mock']
 
 const runs = new Map()
+const subscriptions = new Map()
+let draining = false
 
-function meta(rid) {
-  let r = runs.get(rid)
-  if (r) return r
-  const snap = kv.get(`run:${rid}`)
-  if (!snap) return null
-  r = {
+// Runs still marked running belong to a previous process and will never finish
+function evictStale() {
+  let n = 0
+  for (const k of kv.list('run:')) {
+    const snap = kv.get(k)
+    if (snap?.phase !== 'running') continue
+    // Snapshots are only rewritten on forced flushes, so the log may hold rows past snap.seq
+    const evicted = { ...snap, seq: Math.max(snap.seq ?? -1, kv.lastSeq(snap.rid)), phase: 'evicted', error: EVICTED_MESSAGE, endedAt: Date.now() }
+    kv.set(k, evicted, config.historyTtlMs)
+    archive(evicted)
+    n++
+  }
+  if (n) notify(`Evicted ${n} run(s) left running by previous process`, 3, ['warning'])
+}
+
+evictStale()
+
+function create(uid, rid, snap = {}) {
+  const r = {
+    uid,
     rid,
+    origin: null,
     seq: snap.seq ?? -1,
-    phase: snap.phase ?? 'done',
+    phase: snap.phase ?? 'idle',
     error: snap.error ?? null,
     sockets: new Set(),
     pending: '',
+    pendingChannel: 'content',
     pendingImages: [],
+    pendingToolCalls: [],
     flushTimer: null,
     controller: null,
     startedAt: snap.startedAt ?? 0,
+    segmentStartedAt: 0,
+    attemptStartedAt: 0,
+    segmentStartSeq: -1,
     timeoutTimer: null,
     provider: snap.provider ?? null,
     model: snap.model ?? null,
+    usage: snap.usage ?? null,
+    priorUsage: null,
+    segmentUsage: null,
+    finishReason: snap.finishReason ?? null,
+    retries: snap.retries ?? 0,
+    firstTokenAt: null,
+    lastChunkAt: null,
+    lastOutputAt: null,
+    heartbeatAt: 0,
+    watchdogTimer: null,
+    cache: null,
+    endedAt: snap.endedAt ?? null,
+    responseFormat: null,
+    validation: snap.validation ?? null,
+    decisions: snap.decisions ?? [],
+    root: snap.root ?? null,
+    subject: null,
+    scanner: null,
+    scanChannel: 'content',
+    maxRunMs: config.maxRunMs,
+    deadlines: { firstTokenMs: config.firstTokenMs, idleMs: config.idleMs },
+    backingOff: false,
   }
   runs.set(rid, r)
   return r
 }
 
-function ensure(rid) {
-  let r = meta(rid)
+function meta(rid) {
+  const r = runs.get(rid)
   if (r) return r
-  r = {
-    rid,
-    seq: -1,
-    phase: 'idle',
-    error: null,
-    sockets: new Set(),
-    pending: '',
-    pendingImages: [],
-    flushTimer: null,
-    controller: null,
-    startedAt: 0,
-    timeoutTimer: null,
-    provider: null,
-    model: null,
-  }
-  runs.set(rid, r)
-  return r
+  const snap = kv.get(`run:${rid}`)
+  return snap ? create(snap.uid, rid, snap) : null
+}
+
+// A rid is only visible to the uid that started it
+function owned(uid, rid) {
+  const r = rid ? meta(rid) : null
+  return r?.uid === uid ? r : null
+}
+
+function activeRuns(uid) {
+  return [...runs.values()].filter(r => r.uid === uid && r.phase === 'running')
 }
 
+const isTerminal = phase => ['done', 'error', 'evicted'].includes(phase)
+
 function saveSnapshot(r) {
   kv.set(`run:${r.rid}`, {
+    uid: r.uid,
     rid: r.rid,
     seq: r.seq,
     phase: r.phase,
@@ -64,13 +125,35 @@ function saveSnapshot(r) {
     startedAt: r.startedAt,
     provider: r.provider,
     model: r.model,
-  })
+    usage: r.usage,
+    finishReason: r.finishReason,
+    retries: r.retries,
+    endedAt: r.endedAt,
+    validation: r.validation,
+    decisions: r.decisions,
+    root: r.root,
+  }, isTerminal(r.phase) ? config.historyTtlMs : liveTtl(r))
+}
+
+// Rows written while a run streams must outlive the run itself, whatever its maxRunMs
+function liveTtl(r) {
+  return Math.max(config.kvTtlMs, r.maxRunMs + LIVE_MARGIN_MS)
 }
 
 function tag(r) {
   return `[${r.provider || '?'}/${r.model || '?'}]`
 }
 
+function doneMessage(r) {
+  const msg = { type: 'done', rid: r.rid, provider: r.provider, model: r.model, usage: r.usage, finishReason: r.finishReason }
+  if (r.validation) msg.validation = r.validation
+  return msg
+}
+
+function deltaMessage(r, it) {
+  return { type: 'delta', rid: r.rid, seq: it.seq, channel: it.channel || 'content', text: it.text, images: it.images, toolCalls: it.toolCalls }
+}
+
 function send(ws, obj) {
   try { ws.send(JSON.stringify(obj)) } catch {}
 }
@@ -79,76 +162,315 @@ function bcast(r, obj) {
   for (const ws of r.sockets) send(ws, obj)
 }
 
+function hasPending(r) {
+  return !!r.pending || r.pendingImages.length > 0 || r.pendingToolCalls.length > 0
+}
+
 function flush(r, force = false) {
   if (r.flushTimer) { clearTimeout(r.flushTimer); r.flushTimer = null }
-  if (r.pending || r.pendingImages.length > 0) {
-    const item = { seq: ++r.seq, text: r.pending }
+  if (hasPending(r)) {
+    const item = { seq: ++r.seq, channel: r.pendingChannel, text: r.pending }
     if (r.pendingImages.length > 0) item.images = [...r.pendingImages]
-    kv.set(`delta:${r.rid}:${String(item.seq).padStart(10, '0')}`, item)
-    bcast(r, { type: 'delta', seq: item.seq, text: item.text, images: item.images })
+    if (r.pendingToolCalls.length > 0) item.toolCalls = [...r.pendingToolCalls]
+    const { seq, ...row } = item
+    kv.appendDelta(r.rid, seq, row, liveTtl(r))
+    bcast(r, deltaMessage(r, item))
+    inc('sune_deltas_flushed_total')
+    inc('sune_delta_bytes_flushed_total', {}, Buffer.byteLength(item.text))
     r.pending = ''
+    r.pendingChannel = 'content'
     r.pendingImages = []
+    r.pendingToolCalls = []
   }
   if (force) saveSnapshot(r)
 }
 
-function queueDelta(r, text, images) {
+// A delta row holds a single channel, so switching channels closes the current batch
+function switchChannel(r, channel) {
+  if (hasPending(r) && r.pendingChannel !== channel) flush(r, false)
+  r.pendingChannel = channel
+}
+
+function queueDelta(r, text, images, channel = 'content') {
   if (!text && (!images || !images.length)) return
+  switchChannel(r, images?.length ? 'content' : channel)
   if (text) r.pending += text
-  if (images) r.pendingImages.push(...images)
-  if (r.pending.length >= BATCH_BYTES || r.pendingImages.length > 0) flush(r, false)
-  else if (!r.flushTimer) r.flushTimer = setTimeout(() => flush(r, false), BATCH_MS)
+  if (images) r.pendingImages.push(...images.map(img => blobs.store(img, liveTtl(r), r.origin)))
+  if (r.pending.length >= config.batchBytes || r.pendingImages.length > 0) flush(r, false)
+  else if (!r.flushTimer) r.flushTimer = setTimeout(() => flush(r, false), config.batchMs)
 }
 
-function getDeltas(rid) {
-  const keys = kv.list(`delta:${rid}:`)
-  return keys.map(k => kv.get(k)).filter(Boolean).sort((a, b) => a.seq - b.seq)
+// Fragments follow the OpenAI streaming shape: id/name open a call, arguments append by index
+function queueToolCall(r, { index, id, name, arguments: args = '' }) {
+  switchChannel(r, 'tool_call')
+  const last = r.pendingToolCalls.at(-1)
+  if (last && last.index === index && !id && !name) last.arguments += args
+  else r.pendingToolCalls.push({ index, ...(id && { id }), ...(name && { name }), arguments: args })
+  const size = r.pendingToolCalls.reduce((n, tc) => n + tc.arguments.length, 0)
+  if (size >= config.batchBytes) flush(r, false)
+  else if (!r.flushTimer) r.flushTimer = setTimeout(() => flush(r, false), config.batchMs)
 }
 
-function replay(r, ws, after) {
-  const deltas = getDeltas(r.rid)
-  for (const it of deltas) {
-    if (it.seq > after) send(ws, { type: 'delta', seq: it.seq, text: it.text, images: it.images })
+function assembleToolCalls(fragments) {
+  const calls = []
+  for (const f of fragments) {
+    const tc = calls[f.index] ??= { id: null, type: 'function', function: { name: '', arguments: '' } }
+    if (f.id) tc.id = f.id
+    if (f.name) tc.function.name = f.name
+    tc.function.arguments += f.arguments || ''
+  }
+  return calls.filter(Boolean)
+}
+
+// Concatenated output through cache.seq; each read only pulls the rows flushed since the last one.
+// The log, not r.seq, decides what exists: a snapshot's seq can lag behind rows already stored.
+function cached(r) {
+  const c = r.cache ??= { seq: -1, text: '', reasoning: '', images: [], toolCalls: [] }
+  for (const d of kv.deltas(r.rid, c.seq)) {
+    if (d.channel === 'reasoning') c.reasoning += d.text
+    else c.text += d.text
+    if (d.images) c.images.push(...d.images)
+    if (d.toolCalls) c.toolCalls.push(...d.toolCalls)
+    c.seq = d.seq
+  }
+  return c
+}
+
+// Full output so far; a live run also contributes its unflushed buffer
+function transcript(r) {
+  const c = cached(r)
+  const pending = r.pending || ''
+  const pendingReasoning = r.pendingChannel === 'reasoning'
+  return {
+    text: c.text + (pendingReasoning ? '' : pending),
+    reasoning: c.reasoning + (pendingReasoning ? pending : ''),
+    images: [...c.images, ...(r.pendingImages || [])],
+    toolCalls: assembleToolCalls([...c.toolCalls, ...(r.pendingToolCalls || [])]),
+  }
+}
+
+// Accepts a live run or a bare snapshot, so boot-time evictions can report too
+function webhookPayload(r) {
+  const endedAt = r.endedAt ?? Date.now()
+  return {
+    rid: r.rid,
+    uid: r.uid,
+    phase: r.phase,
+    error: r.error ?? null,
+    provider: r.provider ?? null,
+    model: r.model ?? null,
+    finishReason: r.finishReason ?? null,
+    usage: r.usage ?? null,
+    retries: r.retries ?? 0,
+    ...transcript(r),
+    startedAt: r.startedAt,
+    endedAt,
+    durationMs: r.startedAt ? endedAt - r.startedAt : null,
+    timeToFirstTokenMs: r.firstTokenAt ? r.firstTokenAt - (r.segmentStartedAt || r.startedAt) : null,
   }
-  if (r.phase === 'done') send(ws, { type: 'done' })
-  else if (['error', 'evicted'].includes(r.phase)) send(ws, { type: 'err', message: r.error || 'The run was terminated unexpectedly.' })
 }
 
-function clearTimeoutTimer(r) {
+function preview(messages) {
+  const last = [...messages].reverse().find(m => m?.role === 'user')
+  return extractText(last).replace(/\s+/g, ' ').trim().slice(0, 160)
+}
+
+// Newest first, capped at config.historySize; entries keep their slot when a run finishes
+function indexRun(r, prompt) {
+  const key = `history:${r.uid}`
+  const entries = kv.get(key) || []
+  const i = entries.findIndex(e => e.rid === r.rid)
+  const entry = {
+    rid: r.rid,
+    provider: r.provider ?? null,
+    model: r.model ?? null,
+    phase: r.phase,
+    startedAt: r.startedAt,
+    endedAt: r.endedAt ?? null,
+    preview: prompt ?? entries[i]?.preview ?? '',
+  }
+  if (i >= 0) entries[i] = entry
+  else entries.unshift(entry)
+  kv.set(key, entries.slice(0, config.historySize), config.historyTtlMs)
+}
+
+// Terminal bookkeeping shared by live runs and boot-time evictions
+function archive(r) {
+  kv.keepDeltas(r.rid, config.historyTtlMs)
+  blobs.keep(cached(r).images, config.historyTtlMs)
+  indexRun(r)
+  webhooks.fire(r.rid, webhookPayload(r))
+}
+
+function replay(r, ws, after) {
+  for (const it of kv.deltas(r.rid, after)) send(ws, deltaMessage(r, it))
+  if (r.phase === 'done') send(ws, doneMessage(r))
+  else if (['error', 'evicted'].includes(r.phase)) send(ws, { type: 'err', rid: r.rid, message: r.error || 'The run was terminated unexpectedly.' })
+}
+
+// Providers and models come from clients, so metric labels only name configured ones
+function providerLabel(r) {
+  return r.provider === 'openrouter' || PROVIDERS[r.provider] ? r.provider : 'other'
+}
+
+// A model counts as configured when config.models or modelPrices names it, exactly or by a '*' prefix
+function modelLabel(r) {
+  return matchPattern([...Object.keys(config.models), ...Object.keys(config.modelPrices)], r.model) ?? 'other'
+}
+
+function labels(r) {
+  return { provider: providerLabel(r), model: modelLabel(r) }
+}
+
+function markFirstToken(r) {
+  if (r.firstTokenAt) return
+  r.firstTokenAt = Date.now()
+  observe('sune_time_to_first_token_seconds', (r.firstTokenAt - r.segmentStartedAt) / 1000, { provider: providerLabel(r) })
+}
+
+function timeoutMessage(r) {
+  return `Run timed out after ${+(r.maxRunMs / 60000).toFixed(1)} minutes (max run time).`
+}
+
+function clearTimers(r) {
   if (r.timeoutTimer) { clearTimeout(r.timeoutTimer); r.timeoutTimer = null }
+  if (r.watchdogTimer) { clearInterval(r.watchdogTimer); r.watchdogTimer = null }
+}
+
+// Any upstream bytes count as liveness, even keepalives and events that carry no text
+function markChunk(r) {
+  r.lastChunkAt = Date.now()
+}
+
+function markOutput(r) {
+  r.lastOutputAt = r.lastChunkAt = Date.now()
+  markFirstToken(r)
+}
+
+const seconds = ms => +(ms / 1000).toFixed(1)
+
+// Fails runs whose upstream went quiet for too long, and meanwhile tells sockets the model is still working
+function watchdog(r) {
+  // A retry backoff is not the upstream being quiet; the next attempt restarts the clock
+  if (r.phase !== 'running' || r.backingOff) return
+  const { firstTokenMs, idleMs } = r.deadlines
+  const now = Date.now()
+  const silentMs = now - (r.lastChunkAt || r.attemptStartedAt)
+  if (!r.lastChunkAt && firstTokenMs && silentMs >= firstTokenMs) {
+    fail(r, `Run timed out: no response within ${seconds(firstTokenMs)}s (first-token deadline).`)
+    return
+  }
+  if (r.lastChunkAt && idleMs && silentMs >= idleMs) {
+    fail(r, `Run timed out: stream idle for ${seconds(idleMs)}s (idle timeout).`)
+    return
+  }
+  // Heartbeats track visible output, so clients hear about a model that streams nothing they can show
+  const quietMs = now - (r.lastOutputAt || r.segmentStartedAt)
+  if (config.heartbeatMs && quietMs >= config.heartbeatMs && now - r.heartbeatAt >= config.heartbeatMs) {
+    r.heartbeatAt = now
+    const waiting = r.firstTokenAt ? 'idle' : 'first_token'
+    bcast(r, { type: 'status', rid: r.rid, status: 'waiting', waiting, quietMs, deadlineMs: (r.firstTokenAt ? idleMs : firstTokenMs) || null })
+  }
+}
+
+// Tool-call turns carry no answer to check; a single ```json fence is tolerated
+function validateOutput(r) {
+  const text = cached(r).text.trim().replace(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/, '$1')
+  let value
+  try { value = JSON.parse(text) } catch (e) { return { valid: false, errors: [`not valid JSON: ${e.message}`] } }
+  const schema = responseSchema(r.responseFormat)
+  const errors = schema ? validate(schema, value) : (value && typeof value === 'object' && !Array.isArray(value) ? [] : ['expected a JSON object'])
+  return { valid: !errors.length, errors: errors.slice(0, 20) }
+}
+
+// Response middleware sees text before it is batched; a channel change releases the other channel's held tail
+function emit(r, text, images, channel = 'content') {
+  if (!r.scanner) return queueDelta(r, text, images, channel)
+  if (r.scanChannel !== channel) release(r)
+  r.scanChannel = channel
+  const { text: out, stop: reason } = r.scanner.push(text || '')
+  queueDelta(r, out, null, channel)
+  if (reason) {
+    r.finishReason = 'content_filter'
+    notify(`Run ${r.rid} ${tag(r)} stopped by middleware: ${reason}`, 3, ['shield'])
+    stop(r)
+    return
+  }
+  // Images skip the hold, so the text before them goes out first
+  if (images?.length) {
+    release(r)
+    queueDelta(r, '', images, channel)
+  }
+}
+
+function release(r) {
+  const rest = r.scanner?.end()
+  if (rest) queueDelta(r, rest, null, r.scanChannel)
 }
 
 function stop(r) {
   if (r.phase !== 'running') return
-  clearTimeoutTimer(r)
+  clearTimers(r)
+  release(r)
   flush(r, true)
+  if (r.responseFormat && config.validateStructuredOutput && r.finishReason !== 'tool_calls') r.validation = validateOutput(r)
   r.phase = 'done'
   r.error = null
-  const duration = ((Date.now() - r.startedAt) / 1000).toFixed(1)
+  r.endedAt = Date.now()
+  const duration = ((Date.now() - r.segmentStartedAt) / 1000).toFixed(1)
   try { r.controller?.abort() } catch {}
   saveSnapshot(r)
-  bcast(r, { type: 'done' })
-  notify(`Run ${r.rid} ${tag(r)} ended. Duration: ${duration}s`, 2, ['stop_sign'])
+  bcast(r, doneMessage(r))
+  limits.recordUsage(r.subject, r.model, r.segmentUsage)
+  inc('sune_runs_finished_total', labels(r))
+  observe('sune_run_duration_seconds', +duration, { provider: providerLabel(r) })
+  const tokens = r.usage ? ` Tokens: ${r.usage.promptTokens ?? '?'} in / ${r.usage.completionTokens ?? '?'} out.` : ''
+  notify(`Run ${r.rid} ${tag(r)} ended (${r.finishReason || 'stopped'}). Duration: ${duration}s.${tokens}`, 2, ['stop_sign'])
+  archive(r)
 }
 
 function fail(r, message) {
   if (r.phase !== 'running') return
-  clearTimeoutTimer(r)
+  clearTimers(r)
   const err = String(message || 'stream_failed')
-  const duration = ((Date.now() - r.startedAt) / 1000).toFixed(1)
+  const duration = ((Date.now() - r.segmentStartedAt) / 1000).toFixed(1)
+  release(r)
   queueDelta(r, `\n\nRun failed: ${err}`)
   flush(r, true)
   r.phase = 'error'
   r.error = err
+  r.finishReason = 'error'
+  r.endedAt = Date.now()
   try { r.controller?.abort() } catch {}
   saveSnapshot(r)
-  bcast(r, { type: 'err', message: r.error })
+  bcast(r, { type: 'err', rid: r.rid, message: r.error })
+  limits.recordUsage(r.subject, r.model, r.segmentUsage)
+  inc('sune_runs_failed_total', labels(r))
+  observe('sune_run_duration_seconds', +duration, { provider: providerLabel(r) })
   notify(`Run ${r.rid} ${tag(r)} failed after ${duration}s: ${r.error}`, 2, ['rotating_light'])
+  archive(r)
+}
+
+// Terminal state for runs the process gives up on, mirroring the boot-time eviction
+function evict(r, message) {
+  if (r.phase !== 'running') return
+  clearTimers(r)
+  release(r)
+  flush(r, true)
+  r.phase = 'evicted'
+  r.error = message
+  r.endedAt = Date.now()
+  try { r.controller?.abort() } catch {}
+  saveSnapshot(r)
+  bcast(r, { type: 'err', rid: r.rid, message })
+  archive(r)
 }
 
 function sanitizeMessages(messages) {
   if (!Array.isArray(messages)) return []
   return messages.map(m => {
+    // Assistant tool-call turns legitimately carry no text
+    if (m.tool_calls?.length && !m.content?.length) return m
     let content = m.content
     if (typeof content === 'string') {
       if (!content.trim()) content = '.'
@@ -162,123 +484,572 @@ function sanitizeMessages(messages) {
   })
 }
 
-async function beginStream(r, { apiKey, body, provider }) {
+function isAbort(e) {
+  return e?.name === 'AbortError' || /abort/i.test(String(e?.message))
+}
+
+function isTransient(e) {
+  return TRANSIENT_STATUSES.includes(e?.status) || /overloaded/i.test(String(e?.message))
+}
+
+// Exponential backoff with jitter, stretched to Retry-After when upstream asks for longer.
+// Null when Retry-After is past the cap: retrying sooner than asked would only be refused again
+function retryDelay(e, attempt) {
+  const backoff = Math.min(config.retryMaxDelayMs, config.retryBaseMs * 2 ** attempt) * (0.5 + Math.random() / 2)
+  const header = e?.headers?.get?.('retry-after')
+  const retryAfter = header == null ? 0 : Number.isFinite(+header) ? +header * 1000 : Date.parse(header) - Date.now()
+  if (retryAfter > config.retryMaxDelayMs) return null
+  return Math.round(Math.max(backoff, retryAfter || 0))
+}
+
+function sleep(r, ms) {
+  return new Promise(resolve => {
+    const t = setTimeout(resolve, ms)
+    r.controller.signal.addEventListener('abort', () => { clearTimeout(t); resolve() }, { once: true })
+  })
+}
+
+// A continued run reports usage across all of its segments
+function addUsage(a, b) {
+  if (!a) return b
+  const out = { ...a }
+  for (const [k, v] of Object.entries(b || {})) out[k] = typeof v === 'number' ? (a[k] || 0) + v : v
+  return out
+}
+
+// Once the current segment has emitted output neither a retry nor a fallback may run, or it would be duplicated
+function hasEmitted(r) {
+  return r.seq > r.segmentStartSeq || hasPending(r) || !!r.scanner?.held()
+}
+
+async function streamWithRetry(r, { provider, apiKey, baseUrl, headers, body }) {
+  const providerFn = PROVIDERS[provider] || streamOpenRouter
+  for (let attempt = 0; ; attempt++) {
+    // A fresh scanner per attempt, so nothing a failed attempt left behind is prepended
+    r.scanner = middleware.scanner(r.decisions)
+    r.scanChannel = 'content'
+    // Each attempt gets the full first-token and idle windows
+    r.attemptStartedAt = Date.now()
+    r.lastChunkAt = null
+    try {
+      await providerFn({
+        apiKey,
+        baseUrl,
+        headers,
+        body,
+        signal: r.controller.signal,
+        onDelta: (text, images) => { markOutput(r); emit(r, text, images) },
+        onReasoning: text => { markOutput(r); emit(r, text, null, 'reasoning') },
+        onUsage: usage => {
+          r.segmentUsage = { ...r.segmentUsage, ...usage }
+          r.usage = addUsage(r.priorUsage, r.segmentUsage)
+        },
+        onFinish: reason => { if (r.phase === 'running') r.finishReason = reason },
+        onToolCall: call => { markOutput(r); release(r); queueToolCall(r, call) },
+        onChunk: () => markChunk(r),
+        isRunning: () => r.phase === 'running',
+      })
+      return
+    } catch (e) {
+      if (r.phase !== 'running' || hasEmitted(r) || attempt >= config.retryMaxAttempts || !isTransient(e)) throw e
+      const delayMs = retryDelay(e, attempt)
+      if (delayMs == null) throw e
+      r.retries++
+      saveSnapshot(r)
+      bcast(r, { type: 'status', rid: r.rid, status: 'retrying', attempt: attempt + 1, maxAttempts: config.retryMaxAttempts, delayMs, reason: String(e?.message || '').slice(0, 200) })
+      r.backingOff = true
+      await sleep(r, delayMs)
+      r.backingOff = false
+      if (r.phase !== 'running') return
+    }
+  }
+}
+
+// `chain` is the requested provider followed by the client's fallbacks, tried in order
+async function beginStream(r, { chain, body }) {
   try {
-    const providerFn = { openai: streamOpenAI, google: streamGoogle, claude: streamClaude }[provider] || streamOpenRouter
-    await providerFn({
-      apiKey,
-      body,
-      signal: r.controller.signal,
-      onDelta: (text, images) => queueDelta(r, text, images),
-      isRunning: () => r.phase === 'running',
-    })
-  } catch (e) {
-    if (r.phase === 'running') {
-      const msg = String(e?.message || 'stream_failed')
-      if (!(e?.name === 'AbortError' || /abort/i.test(msg))) fail(r, msg)
+    for (const [i, entry] of chain.entries()) {
+      r.provider = entry.provider
+      r.model = entry.model
+      try {
+        // A configured maxTokens caps whatever the client asked for
+        const { maxTokens, firstTokenMs, idleMs } = resolve(entry.provider, entry.model)
+        r.deadlines = { firstTokenMs, idleMs }
+        const capped = maxTokens ? { max_tokens: Math.min(+body.max_tokens > 0 ? +body.max_tokens : maxTokens, maxTokens) } : {}
+        await streamWithRetry(r, { ...entry, body: { ...body, model: entry.model, ...capped } })
+        break
+      } catch (e) {
+        const next = chain[i + 1]
+        if (r.phase !== 'running' || hasEmitted(r) || !next || isAbort(e)) throw e
+        const reason = String(e?.message || 'stream_failed').slice(0, 200)
+        notify(`Run ${r.rid} ${tag(r)} falling back to [${next.provider}/${next.model}]: ${reason}`, 3, ['twisted_rightwards_arrows'])
+        bcast(r, { type: 'status', rid: r.rid, status: 'fallback', provider: next.provider, model: next.model, reason })
+      }
     }
+  } catch (e) {
+    if (r.phase === 'running' && !isAbort(e)) fail(r, String(e?.message || 'stream_failed'))
   } finally {
     if (r.phase === 'running') stop(r)
   }
 }
 
 // Periodic cleanup: remove terminal runs with no sockets from the Map
-setInterval(() => {
+function cleanup() {
   const now = Date.now()
-  for (const [uid, r] of runs) {
+  for (const [rid, r] of runs) {
     if (r.phase === 'running') {
-      // Safety: if startedAt is set and exceeded MAX_RUN_MS, force-fail
-      if (r.startedAt && now - r.startedAt > MAX_RUN_MS) {
-        fail(r, `Run timed out after ${MAX_RUN_MS / 60000} minutes.`)
-      }
+      // Safety: if segmentStartedAt is set and exceeded the run's limit, force-fail
+      if (r.segmentStartedAt && now - r.segmentStartedAt > r.maxRunMs) fail(r, timeoutMessage(r))
       continue
     }
     // Terminal run with no connected sockets — safe to evict from Map
-    if (r.sockets.size === 0) runs.delete(uid)
+    if (r.sockets.size === 0) runs.delete(rid)
   }
-}, CLEANUP_INTERVAL_MS)
+}
 
-export function addSocket(rid, ws) {
-  const r = ensure(rid)
+let cleanupTimer = setInterval(cleanup, config.cleanupIntervalMs)
+onReload(() => {
+  clearInterval(cleanupTimer)
+  cleanupTimer = setInterval(cleanup, config.cleanupIntervalMs)
+})
+
+function subscribe(r, ws) {
   r.sockets.add(ws)
-  return r
+  subscriptions.get(ws)?.add(r.rid)
 }
 
-export function removeSocket(rid, ws) {
-  const r = runs.get(rid)
-  if (r) r.sockets.delete(ws)
+function unsubscribe(r, ws) {
+  r.sockets.delete(ws)
+  subscriptions.get(ws)?.delete(r.rid)
+}
+
+function afterOf(msg) {
+  return Number.isFinite(+msg.after) ? +msg.after : -1
+}
+
+export function addSocket(uid, ws) {
+  subscriptions.set(ws, new Set())
 }
 
-export function handleMessage(rid, ws, msg) {
-  const r = ensure(rid)
+export function removeSocket(uid, ws) {
+  for (const rid of subscriptions.get(ws) || []) runs.get(rid)?.sockets.delete(ws)
+  subscriptions.delete(ws)
+}
 
+// `ip` is the client address; quotas fall back to it when no session token vouches for the uid.
+// `origin` is where the client reached the proxy, used for blob links when PUBLIC_URL is unset
+export function handleMessage(uid, ws, msg, ip = null, origin = null) {
   if (msg.type === 'stop') {
-    if (msg.rid === r.rid) stop(r)
+    const r = owned(uid, msg.rid)
+    if (r?.phase === 'running') r.finishReason ??= 'stopped'
+    if (r) stop(r)
+    return
+  }
+
+  if (msg.type === 'subscribe') {
+    const r = owned(uid, msg.rid)
+    if (!r) { send(ws, { type: 'err', rid: msg.rid ?? null, message: 'not_found' }); return }
+    subscribe(r, ws)
+    replay(r, ws, afterOf(msg))
+    return
+  }
+
+  if (msg.type === 'unsubscribe') {
+    const r = owned(uid, msg.rid)
+    if (r) unsubscribe(r, ws)
     return
   }
 
+  if (msg.type === 'continue') return resume(uid, ws, msg, ip, origin)
+  if (msg.type === 'regenerate') return regenerate(uid, ws, msg, ip, origin)
+  if (msg.type === 'select') return select(uid, ws, msg)
+
   if (msg.type !== 'begin') {
     send(ws, { type: 'err', message: 'bad_type' })
     return
   }
 
-  const { rid: msgRid, apiKey, or_body, model, messages, after, provider } = msg
-  let body = or_body || (model && Array.isArray(messages) ? { model, messages, stream: true, ...msg } : null)
+  const { rid: msgRid, apiKey, token, or_body, model, messages, provider, baseUrl, headers, fallbacks = [], callbackUrl, callbackSecret } = msg
+  const params = Object.fromEntries(Object.entries(msg).filter(([k]) => !PROTOCOL_FIELDS.includes(k)))
+  let body = or_body || (model && Array.isArray(messages) ? { model, messages, stream: true, ...params } : null)
 
-  if (!msgRid || !apiKey || !body || !Array.isArray(body.messages) || body.messages.length === 0) {
-    send(ws, { type: 'err', message: 'missing_fields' })
+  // Local OpenAI-compatible servers often run without keys
+  if (!msgRid || (!apiKey && !token && !KEYLESS.includes(provider)) || !body || !Array.isArray(body.messages) || body.messages.length === 0) {
+    send(ws, { type: 'err', rid: msgRid ?? null, message: 'missing_fields' })
     return
   }
 
-  body.messages = sanitizeMessages(body.messages)
+  if (!Array.isArray(fallbacks) || fallbacks.length > MAX_FALLBACKS || !fallbacks.every(f => f && typeof f === 'object')) {
+    send(ws, { type: 'err', rid: msgRid, message: 'bad_fallbacks' })
+    return
+  }
 
-  if (r.phase === 'running' && msgRid !== r.rid) {
-    send(ws, { type: 'err', message: 'busy' })
+  const callbackError = callbackUrl ? webhooks.check(callbackUrl, callbackSecret) : null
+  if (callbackError) {
+    send(ws, { type: 'err', rid: msgRid, message: callbackError })
     return
   }
 
-  if (msgRid === r.rid && r.phase !== 'idle') {
-    replay(r, ws, Number.isFinite(+after) ? +after : -1)
+  body.messages = sanitizeMessages(body.messages)
+
+  const existing = meta(msgRid)
+  if (existing) {
+    if (existing.uid !== uid) { send(ws, { type: 'err', rid: msgRid, message: 'forbidden' }); return }
+    subscribe(existing, ws)
+    replay(existing, ws, afterOf(msg))
     return
   }
 
+  const refused = admission(uid)
+  if (refused) { send(ws, { type: 'err', rid: msgRid, ...refused }); return }
+
   const resolvedProvider = provider || 'openrouter'
-  r.rid = msgRid
-  r.seq = -1
+  const resolvedModel = body.model || null
+  const chain = [
+    { provider: resolvedProvider, model: resolvedModel, apiKey, baseUrl, headers },
+    ...fallbacks.map(f => {
+      const fallbackProvider = f.provider || resolvedProvider
+      // Credentials and headers never travel to another vendor or another base URL
+      const same = fallbackProvider === resolvedProvider && (!f.baseUrl || f.baseUrl === baseUrl)
+      return {
+        provider: fallbackProvider,
+        model: f.model || resolvedModel,
+        apiKey: f.apiKey || (same ? apiKey : undefined),
+        baseUrl: f.baseUrl || (same ? baseUrl : undefined),
+        headers: f.headers || (same ? headers : undefined),
+      }
+    }),
+  ]
+
+  if (!token && chain.some(entry => !entry.apiKey && !KEYLESS.includes(entry.provider))) {
+    send(ws, { type: 'err', rid: msgRid, message: 'missing_fields' })
+    return
+  }
+
+  const denied = authorize(uid, token, chain)
+  if (denied) { send(ws, { type: 'err', rid: msgRid, ...denied }); return }
+
+  // Reject up front rather than let a provider mapping drop the attachment
+  for (const entry of chain) {
+    const rejected = attachments.check(body.messages, entry.provider)
+    if (rejected) { send(ws, { type: 'err', rid: msgRid, ...rejected }); return }
+  }
+
+  const { decisions, rejection } = middleware.onRequest({ body, chain })
+  if (rejection) {
+    // Blocked requests still leave a snapshot so the decision can be audited
+    const blocked = create(uid, msgRid)
+    Object.assign(blocked, { phase: 'error', error: rejection.message, provider: resolvedProvider, model: resolvedModel, startedAt: Date.now(), endedAt: Date.now(), decisions })
+    saveSnapshot(blocked)
+    send(ws, { type: 'err', rid: msgRid, ...rejection })
+    return
+  }
+
+  const subject = limits.subject(uid, ip, !!token)
+  const over = limits.checkQuota(subject)
+  if (over) { send(ws, { type: 'err', rid: msgRid, ...over }); return }
+
+  const r = create(uid, msgRid)
+  subscribe(r, ws)
+  r.decisions = decisions
+  r.subject = subject
+  r.origin = origin
+  r.startedAt = Date.now()
+  const { messages: prompt, ...rest } = body
+  kv.set(`prompt:${r.rid}`, prompt, config.historyTtlMs)
+  kv.set(`params:${r.rid}`, rest, config.historyTtlMs)
+  if (callbackUrl) webhooks.register(r.rid, callbackUrl, callbackSecret)
+  launch(r, chain, body, preview(prompt))
+}
+
+// Shared gate for every message that starts a stream
+function admission(uid) {
+  if (draining) return { message: 'shutting_down' }
+  if (activeRuns(uid).length >= config.maxRunsPerUid) return { message: 'busy', limit: config.maxRunsPerUid }
+  return null
+}
+
+// Session tokens swap every client-supplied key for the server-held one, within the token's grant
+function authorize(uid, token, chain) {
+  if (!token) return null
+  const claims = vault.verifyToken(token)
+  if (!claims || claims.uid !== uid) return { message: 'bad_token' }
+  for (const entry of chain) {
+    if (!vault.permits(claims, entry.provider, entry.model)) return { message: 'not_allowed', provider: entry.provider, model: entry.model }
+    entry.apiKey = vault.getKey(entry.provider)
+    if (!entry.apiKey && !KEYLESS.includes(entry.provider)) return { message: 'no_key', provider: entry.provider }
+  }
+  return null
+}
+
+// Starts one stream segment: a fresh run, or another pass over an existing one
+function launch(r, chain, body, prompt) {
   r.phase = 'running'
   r.error = null
-  r.pending = ''
-  r.pendingImages = []
+  r.endedAt = null
+  r.finishReason = null
+  r.validation = null
+  r.firstTokenAt = null
+  r.lastChunkAt = null
+  r.lastOutputAt = null
+  r.heartbeatAt = 0
+  r.priorUsage = r.usage
+  r.segmentUsage = null
   r.controller = new AbortController()
-  r.startedAt = Date.now()
-  r.provider = resolvedProvider
-  r.model = body.model || null
+  r.attemptStartedAt = r.segmentStartedAt = Date.now()
+  r.segmentStartSeq = r.seq
+  r.provider = chain[0].provider
+  r.model = chain[0].model
+  r.maxRunMs = resolve(r.provider, r.model).maxRunMs
+  r.responseFormat = ['json_object', 'json_schema'].includes(body.response_format?.type) ? body.response_format : null
 
   // Hard timeout safety net
   r.timeoutTimer = setTimeout(() => {
-    if (r.phase === 'running') fail(r, `Run timed out after ${MAX_RUN_MS / 60000} minutes.`)
-  }, MAX_RUN_MS)
+    if (r.phase === 'running') fail(r, timeoutMessage(r))
+  }, r.maxRunMs)
+  r.watchdogTimer = setInterval(() => watchdog(r), WATCHDOG_TICK_MS)
 
-  kv.set(`prompt:${r.rid}`, body.messages)
+  kv.set(`uid:${r.uid}`, r.rid)
+  indexRun(r, prompt)
   saveSnapshot(r)
-  beginStream(r, { apiKey, body, provider: resolvedProvider })
+  limits.recordRun(r.subject)
+  inc('sune_runs_started_total', labels(r))
+  beginStream(r, { chain, body })
 }
 
-export function handlePoll(uid) {
-  const r = meta(uid)
-  if (!r) return { rid: null, seq: -1, phase: 'idle', done: false, error: null, text: '', images: [] }
-  const deltas = getDeltas(r.rid)
-  const text = deltas.map(d => d.text).join('') + r.pending
-  const images = [...deltas.flatMap(d => d.images || []), ...r.pendingImages]
-  const isTerminal = ['done', 'error', 'evicted'].includes(r.phase)
-  const isError = ['error', 'evicted'].includes(r.phase)
+// Both take the credentials again, since keys are never stored with a run
+function credentials(msg, r) {
+  const { apiKey, token, baseUrl, headers } = msg
+  if (!apiKey && !token && !KEYLESS.includes(r.provider)) return null
+  return { token, chain: [{ provider: r.provider, model: r.model, apiKey, baseUrl, headers }] }
+}
+
+function stored(r) {
+  const prompt = kv.get(`prompt:${r.rid}`)
+  const params = kv.get(`params:${r.rid}`)
+  return prompt && params ? { prompt, params } : null
+}
+
+// Runs the current request middleware again, so hot-reloaded denials and org prompts apply.
+// The stored prompt already went through it once; an org prompt injected then is dropped first,
+// and earlier redactions are kept on record since the stored text still carries them.
+function reapply(source, saved, chain) {
+  const injected = source.decisions.some(d => d.middleware === 'systemPrompt')
+  const body = { ...saved.params, model: chain[0].model, messages: injected ? saved.prompt.slice(1) : saved.prompt }
+  const { decisions, rejection } = middleware.onRequest({ body, chain })
+  const redactions = source.decisions.filter(d => d.middleware === 'redact').map(d => ({ ...d }))
+  return { body, decisions: [...redactions, ...decisions], rejection }
+}
+
+// OpenRouter passes the prefix through, but only Anthropic models extend it; others answer it as a new turn
+function canPrefill(r) {
+  return PREFILL.includes(r.provider) || (r.provider === 'openrouter' && String(r.model).startsWith('anthropic/'))
+}
+
+// Resumes a done run on the same seq stream, with its output so far sent back as an assistant prefix
+function resume(uid, ws, msg, ip, origin) {
+  const r = owned(uid, msg.rid)
+  if (!r) { send(ws, { type: 'err', rid: msg.rid ?? null, message: 'not_found' }); return }
+  if (r.phase !== 'done' || !CONTINUABLE.includes(r.finishReason)) {
+    send(ws, { type: 'err', rid: r.rid, message: 'not_continuable', phase: r.phase, finishReason: r.finishReason })
+    return
+  }
+  if (!canPrefill(r)) { send(ws, { type: 'err', rid: r.rid, message: 'continue_unsupported', provider: r.provider }); return }
+  const saved = stored(r)
+  if (!saved) { send(ws, { type: 'err', rid: r.rid, message: 'prompt_expired' }); return }
+  const creds = credentials(msg, r)
+  if (!creds) { send(ws, { type: 'err', rid: r.rid, message: 'missing_fields' }); return }
+  const refused = admission(uid) || authorize(uid, creds.token, creds.chain)
+  if (refused) { send(ws, { type: 'err', rid: r.rid, ...refused }); return }
+  const { body, decisions, rejection } = reapply(r, saved, creds.chain)
+  const subject = limits.subject(uid, ip, !!creds.token)
+  const rejected = rejection || limits.checkQuota(subject)
+  if (rejected) { send(ws, { type: 'err', rid: r.rid, ...rejected }); return }
+
+  r.decisions = [...decisions, ...r.decisions.filter(d => d.middleware === 'scan')]
+  r.subject = subject
+  r.origin = origin
+  kv.set(`prompt:${r.rid}`, body.messages, config.historyTtlMs)
+  // Anthropic rejects a final assistant turn that ends in whitespace
+  const text = transcript(r).text.trimEnd()
+  if (text) body.messages = [...body.messages, { role: 'assistant', content: text }]
+  subscribe(r, ws)
+  bcast(r, { type: 'status', rid: r.rid, status: 'continuing', after: r.seq })
+  launch(r, creds.chain, body)
+}
+
+function attemptsOf(root) {
+  return kv.get(`attempts:${root}`) || { rids: [root], selected: root }
+}
+
+function attemptsMessage(root) {
+  const { rids, selected } = attemptsOf(root)
+  return { type: 'attempts', rid: root, attempts: rids, selected }
+}
+
+// Runs the source's prompt again under a new rid; every attempt stays listed under the first one
+function regenerate(uid, ws, msg, ip, origin) {
+  if (!msg.rid || !msg.from) { send(ws, { type: 'err', rid: msg.rid ?? null, message: 'missing_fields' }); return }
+  const source = owned(uid, msg.from)
+  if (!source) { send(ws, { type: 'err', rid: msg.rid, message: 'not_found' }); return }
+
+  const existing = meta(msg.rid)
+  if (existing) {
+    if (existing.uid !== uid) { send(ws, { type: 'err', rid: msg.rid, message: 'forbidden' }); return }
+    subscribe(existing, ws)
+    replay(existing, ws, afterOf(msg))
+    return
+  }
+
+  const saved = stored(source)
+  if (!saved) { send(ws, { type: 'err', rid: msg.rid, message: 'prompt_expired' }); return }
+  const creds = credentials(msg, source)
+  if (!creds) { send(ws, { type: 'err', rid: msg.rid, message: 'missing_fields' }); return }
+  const refused = admission(uid) || authorize(uid, creds.token, creds.chain)
+  if (refused) { send(ws, { type: 'err', rid: msg.rid, ...refused }); return }
+  const { body, decisions, rejection } = reapply(source, saved, creds.chain)
+  const subject = limits.subject(uid, ip, !!creds.token)
+  const rejected = rejection || limits.checkQuota(subject)
+  if (rejected) { send(ws, { type: 'err', rid: msg.rid, ...rejected }); return }
+
+  const root = source.root || source.rid
+  const group = attemptsOf(root)
+  group.rids.push(msg.rid)
+  group.selected = msg.rid
+  kv.set(`attempts:${root}`, group, config.historyTtlMs)
+
+  const r = create(uid, msg.rid)
+  subscribe(r, ws)
+  r.decisions = decisions
+  r.subject = subject
+  r.origin = origin
+  r.root = root
+  r.startedAt = Date.now()
+  kv.set(`prompt:${r.rid}`, body.messages, config.historyTtlMs)
+  kv.set(`params:${r.rid}`, saved.params, config.historyTtlMs)
+  webhooks.inherit(source.rid, r.rid)
+  send(ws, attemptsMessage(root))
+  launch(r, creds.chain, body, preview(body.messages))
+}
+
+// Marks one attempt as the chosen alternative of its group
+function select(uid, ws, msg) {
+  const r = owned(uid, msg.rid)
+  const root = r && (r.root || r.rid)
+  const group = root ? attemptsOf(root) : null
+  if (!group?.rids.includes(r.rid)) { send(ws, { type: 'err', rid: msg.rid ?? null, message: 'not_found' }); return }
+  group.selected = r.rid
+  kv.set(`attempts:${root}`, group, config.historyTtlMs)
+  send(ws, attemptsMessage(root))
+}
+
+function summary(r) {
+  return { rid: r.rid, phase: r.phase, seq: r.seq, provider: r.provider, model: r.model, startedAt: r.startedAt }
+}
+
+export function isDraining() {
+  return draining
+}
+
+// Refuses new runs, gives running ones up to `ms` to finish, then evicts the rest
+export async function drain(ms) {
+  draining = true
+  const running = () => [...runs.values()].filter(r => r.phase === 'running')
+  const before = running().length
+  const deadline = Date.now() + ms
+  while (running().length && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 250))
+  const leftovers = running()
+  for (const r of leftovers) evict(r, 'The server restarted before this run finished.')
+  // 1012 (service restart) tells clients to reconnect to the next instance
+  for (const ws of subscriptions.keys()) try { ws.close(1012, 'restarting') } catch {}
+  return { finished: before - leftovers.length, evicted: leftovers.length }
+}
+
+export function stats() {
+  const all = [...runs.values()]
   return {
+    activeRuns: all.filter(r => r.phase === 'running').length,
+    sockets: subscriptions.size,
+    subscribers: all.reduce((n, r) => n + r.sockets.size, 0),
+  }
+}
+
+// Attach a socket-like sink (anything with send(string)) to a run and replay what it missed
+export function watch(uid, rid, sink, after = -1) {
+  const r = owned(uid, rid || kv.get(`uid:${uid}`))
+  if (!r) return null
+  subscribe(r, sink)
+  replay(r, sink, after)
+  return r
+}
+
+export function unwatch(rid, sink) {
+  runs.get(rid)?.sockets.delete(sink)
+}
+
+// Without a rid the uid's most recently started run is returned; with `after` only newer deltas are
+export function handlePoll(uid, { rid, active, after } = {}) {
+  if (active) return { runs: activeRuns(uid).map(summary) }
+  const r = owned(uid, rid || kv.get(`uid:${uid}`))
+  if (!r) return { rid: null, seq: -1, phase: 'idle', done: false, error: null, text: '', reasoning: '', images: [], toolCalls: [], usage: null, finishReason: null }
+  const isError = ['error', 'evicted'].includes(r.phase)
+  const state = {
     rid: r.rid,
     seq: r.seq,
     phase: r.phase,
-    done: isTerminal,
+    done: isTerminal(r.phase),
     error: isError ? (r.error || 'The run was terminated unexpectedly.') : null,
-    text,
-    images,
+    usage: r.usage,
+    finishReason: r.finishReason,
+    retries: r.retries,
   }
+  const group = kv.get(`attempts:${r.root || r.rid}`)
+  if (group) Object.assign(state, { attempts: group.rids, selected: group.selected })
+  if (after != null && after !== '' && Number.isFinite(+after)) {
+    return { ...state, deltas: kv.deltas(r.rid, +after).map(d => deltaMessage(r, d)) }
+  }
+  return { ...state, ...transcript(r) }
+}
+
+export function listHistory(uid) {
+  return { runs: kv.get(`history:${uid}`) || [] }
+}
+
+const imageUrl = img => (typeof img === 'string' ? img : img?.image_url?.url || img?.url || '')
+
+function exportMessages(prompt, out) {
+  const content = out.images.length
+    ? [...(out.text ? [{ type: 'text', text: out.text }] : []), ...out.images.map(img => ({ type: 'image_url', image_url: { url: imageUrl(img) } }))]
+    : out.text
+  const reply = { role: 'assistant', content }
+  if (out.toolCalls.length) reply.tool_calls = out.toolCalls
+  return [...prompt, reply]
+}
+
+function exportMarkdown(run, messages) {
+  const lines = [`# Run ${run.rid}`, '', `- Model: ${run.provider || '?'}/${run.model || '?'}`, `- Phase: ${run.phase}`]
+  if (run.startedAt) lines.push(`- Started: ${new Date(run.startedAt).toISOString()}`)
+  if (run.endedAt) lines.push(`- Ended: ${new Date(run.endedAt).toISOString()}`)
+  if (run.error) lines.push(`- Error: ${run.error}`)
+  for (const m of messages) {
+    lines.push('', `## ${m.role[0].toUpperCase()}${m.role.slice(1)}`, '')
+    const text = extractText(m)
+    if (text) lines.push(text)
+    const parts = Array.isArray(m.content) ? m.content : []
+    for (const p of parts) if (p?.type === 'image_url') lines.push('', `![image](${imageUrl(p)})`)
+    for (const tc of m.tool_calls || []) lines.push('', `Tool call \`${tc.function?.name}\`:`, '', '```json', tc.function?.arguments || '', '```')
+  }
+  return lines.join('\n') + '\n'
+}
+
+// format: 'json' (default), 'markdown' or 'messages'; returns null when the run is unknown or expired
+export function exportRun(uid, rid, format = 'json') {
+  const r = owned(uid, rid)
+  if (!r) return null
+  const prompt = kv.get(`prompt:${r.rid}`) || []
+  const out = transcript(r)
+  const run = { rid: r.rid, phase: r.phase, error: r.error, provider: r.provider, model: r.model, usage: r.usage, finishReason: r.finishReason, startedAt: r.startedAt, endedAt: r.endedAt }
+  if (format === 'messages') return { messages: exportMessages(prompt, out) }
+  if (format === 'markdown') return exportMarkdown(run, exportMessages(prompt, out))
+  return { ...run, prompt, ...out }
 }
@@ -0,0 +1,67 @@
+// A JSON Schema subset covering what structured-output APIs accept: type, enum/const, object and
+// array keywords, string and number bounds, anyOf/oneOf/allOf and local $refs
+const typeOf = v => (v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v)
+const matchesType = (v, t) => typeOf(v) === t || (t === 'number' && typeOf(v) === 'integer')
+const equal = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+function deref(root, ref) {
+  if (!ref.startsWith('#')) return null
+  return ref.slice(1).split('/').filter(Boolean).reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root)
+}
+
+function check(root, schema, v, path, errors) {
+  if (schema === true || schema == null) return
+  if (schema === false) { errors.push(`${path}: not allowed`); return }
+  if (schema.$ref) {
+    const target = deref(root, schema.$ref)
+    if (!target) errors.push(`${path}: unresolvable $ref ${schema.$ref}`)
+    else check(root, target, v, path, errors)
+    return
+  }
+  const types = schema.type == null ? null : [].concat(schema.type)
+  if (types && !types.some(t => matchesType(v, t))) { errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(v)}`); return }
+  if (schema.enum && !schema.enum.some(e => equal(e, v))) errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`)
+  if ('const' in schema && !equal(schema.const, v)) errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`)
+
+  const t = typeOf(v)
+  if (t === 'object') {
+    const props = schema.properties || {}
+    for (const key of schema.required || []) if (!(key in v)) errors.push(`${path}: missing required property "${key}"`)
+    for (const [key, val] of Object.entries(v)) {
+      if (key in props) check(root, props[key], val, `${path}.${key}`, errors)
+      else if (schema.additionalProperties === false) errors.push(`${path}: unexpected property "${key}"`)
+      else if (typeof schema.additionalProperties === 'object') check(root, schema.additionalProperties, val, `${path}.${key}`, errors)
+    }
+  }
+  if (t === 'array') {
+    if (schema.minItems != null && v.length < schema.minItems) errors.push(`${path}: expected at least ${schema.minItems} items`)
+    if (schema.maxItems != null && v.length > schema.maxItems) errors.push(`${path}: expected at most ${schema.maxItems} items`)
+    const prefix = schema.prefixItems || []
+    v.forEach((item, i) => check(root, i < prefix.length ? prefix[i] : schema.items, item, `${path}[${i}]`, errors))
+  }
+  if (t === 'string') {
+    if (schema.minLength != null && v.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength}`)
+    if (schema.maxLength != null && v.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength}`)
+    if (schema.pattern) {
+      try { if (!new RegExp(schema.pattern, 'u').test(v)) errors.push(`${path}: does not match ${schema.pattern}`) } catch {}
+    }
+  }
+  if (t === 'number' || t === 'integer') {
+    if (schema.minimum != null && v < schema.minimum) errors.push(`${path}: below ${schema.minimum}`)
+    if (schema.maximum != null && v > schema.maximum) errors.push(`${path}: above ${schema.maximum}`)
+    if (schema.exclusiveMinimum != null && v <= schema.exclusiveMinimum) errors.push(`${path}: must be above ${schema.exclusiveMinimum}`)
+    if (schema.exclusiveMaximum != null && v >= schema.exclusiveMaximum) errors.push(`${path}: must be below ${schema.exclusiveMaximum}`)
+  }
+
+  const passes = s => { const e = []; check(root, s, v, path, e); return !e.length }
+  for (const s of schema.allOf || []) check(root, s, v, path, errors)
+  if (schema.anyOf && !schema.anyOf.some(passes)) errors.push(`${path}: matches none of anyOf`)
+  if (schema.oneOf && schema.oneOf.filter(passes).length !== 1) errors.push(`${path}: must match exactly one of oneOf`)
+}
+
+// Returns a list of human-readable problems; empty when `value` conforms
+export function validate(schema, value) {
+  const errors = []
+  check(schema, schema, value, '$', errors)
+  return errors
+}
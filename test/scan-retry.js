@@ -0,0 +1,52 @@
+// Mock runs through the response scanner that fail with a transient error, before and after some output.
+// Text the scanner holds back counts as emitted, so a retry never splices it onto a second attempt.
+// Usage: bun run test
+import { rmSync } from 'node:fs'
+
+const DB_PATH = `/tmp/sune-scan-retry-${process.pid}.db`
+Object.assign(process.env, {
+  DB_PATH,
+  MOCK_PROVIDER: '1',
+  PUBLIC_URL: 'http://localhost:8080',
+  MIDDLEWARE: 'scan',
+  RESPONSE_RULES: JSON.stringify([{ pattern: 'never-matches', action: 'rewrite' }]),
+  RETRY_BASE_MS: '10',
+  BATCH_MS: '20',
+})
+
+const run = await import('../run.js')
+
+const TEXT = 'one two three four five six'
+
+function start(rid, mock) {
+  return new Promise(resolve => {
+    const ws = {
+      send(data) {
+        const msg = JSON.parse(data)
+        if (msg.type === 'done' || msg.type === 'err') setTimeout(() => resolve({ end: msg, ...run.handlePoll('bench', { rid }) }), 0)
+      },
+    }
+    run.addSocket('bench', ws)
+    run.handleMessage('bench', ws, { type: 'begin', rid, provider: 'mock', model: 'mock', messages: [{ role: 'user', content: 'hi' }], mock: { text: TEXT, tokensPerSecond: 1000, ...mock } })
+  })
+}
+
+const cases = [
+  // Fails after output the scanner is still holding: must fail, not retry into "one two three one two ..."
+  ['error after held output', { status: 503, errorAttempts: 1, errorAfter: 3 }, out => out.end.type === 'err' && out.retries === 0 && out.text.startsWith('one two three \n\nRun failed')],
+  // Fails before any output: the retry is safe and the text appears once
+  ['error before output', { status: 503, errorAttempts: 1 }, out => out.end.type === 'done' && out.retries === 1 && out.text === TEXT],
+]
+
+let failed = 0
+for (const [i, [name, mock, ok]] of cases.entries()) {
+  const out = await start(`scan-retry-${i}`, mock)
+  const pass = ok(out)
+  if (!pass) failed++
+  console.log(`${pass ? 'ok  ' : 'FAIL'} ${name}: ${out.end.type}, ${out.retries} retries, ${JSON.stringify(out.text)}`)
+}
+
+rmSync(DB_PATH, { force: true })
+rmSync(`${DB_PATH}-wal`, { force: true })
+rmSync(`${DB_PATH}-shm`, { force: true })
+process.exit(failed ? 1 : 0)
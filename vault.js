@@ -0,0 +1,75 @@
+import { createCipheriv, createDecipheriv, createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto'
+import * as kv from './db.js'
+import { matchPattern } from './config.js'
+
+const VAULT_SECRET = process.env.VAULT_SECRET || ''
+const TOKEN_TTL_MS = 15 * 60 * 1000
+const MAX_TOKEN_TTL_MS = 24 * 60 * 60 * 1000
+// Stored keys are meant to outlive every run, so they get an effectively unbounded TTL
+const KEY_TTL_MS = 100 * 365 * 24 * 60 * 60 * 1000
+
+const derive = purpose => createHash('sha256').update(`${purpose}:${VAULT_SECRET}`).digest()
+const ENC_KEY = derive('vault')
+const SIGN_KEY = derive('token')
+
+const b64 = buf => Buffer.from(buf).toString('base64url')
+
+export const enabled = !!VAULT_SECRET
+
+function encrypt(plain) {
+  const iv = randomBytes(12)
+  const cipher = createCipheriv('aes-256-gcm', ENC_KEY, iv)
+  const ct = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()])
+  return [iv, cipher.getAuthTag(), ct].map(b64).join('.')
+}
+
+function decrypt(sealed) {
+  const [iv, tag, ct] = sealed.split('.').map(p => Buffer.from(p, 'base64url'))
+  const decipher = createDecipheriv('aes-256-gcm', ENC_KEY, iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(ct), decipher.final()]).toString('utf8')
+}
+
+export function putKey(provider, apiKey) {
+  kv.set(`vault:${provider}`, encrypt(apiKey), KEY_TTL_MS)
+}
+
+export function deleteKey(provider) {
+  kv.del(`vault:${provider}`)
+}
+
+export function listKeys() {
+  return kv.list('vault:').map(k => k.slice('vault:'.length))
+}
+
+export function getKey(provider) {
+  const sealed = kv.get(`vault:${provider}`)
+  if (!sealed) return null
+  try { return decrypt(sealed) } catch { return null }
+}
+
+const sign = payload => b64(createHmac('sha256', SIGN_KEY).update(payload).digest())
+
+// Tokens are `<payload>.<hmac>`; providers and models accept '*' and trailing-'*' prefixes
+export function mintToken({ uid, providers = [], models = [], ttlMs = TOKEN_TTL_MS }) {
+  const exp = Date.now() + Math.min(Math.max(+ttlMs || TOKEN_TTL_MS, 1000), MAX_TOKEN_TTL_MS)
+  const payload = b64(JSON.stringify({ uid, providers, models, exp }))
+  return { token: `${payload}.${sign(payload)}`, exp }
+}
+
+export function verifyToken(token) {
+  if (!enabled || typeof token !== 'string') return null
+  const [payload, mac] = token.split('.')
+  if (!payload || !mac) return null
+  const given = Buffer.from(mac)
+  const want = Buffer.from(sign(payload))
+  if (given.length !== want.length || !timingSafeEqual(given, want)) return null
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+    return claims.exp > Date.now() ? claims : null
+  } catch { return null }
+}
+
+export function permits(claims, provider, model) {
+  return matchPattern(claims.providers || [], provider) != null && matchPattern(claims.models || [], model) != null
+}
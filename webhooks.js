@@ -0,0 +1,114 @@
+import { createHmac } from 'node:crypto'
+import * as kv from './db.js'
+import { notify } from './notify.js'
+import { inc } from './metrics.js'
+import { config } from './config.js'
+
+// Used when begin names a callbackUrl without its own callbackSecret
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || ''
+const SWEEP_MS = 5000
+const TIMEOUT_MS = 10_000
+const MAX_DELAY_MS = 60 * 60 * 1000
+// Callbacks and queued jobs must outlive the run they describe and its retries
+const JOB_TTL_MS = 2 * 24 * 60 * 60 * 1000
+
+const inflight = new Set()
+
+// Entries are URL prefixes: same origin, and the path must start with the entry's path
+function isAllowed(url) {
+  let u
+  try { u = new URL(url) } catch { return false }
+  if (!['https:', 'http:'].includes(u.protocol)) return false
+  return config.webhookUrls.some(entry => {
+    try {
+      const a = new URL(entry)
+      return a.origin === u.origin && u.pathname.startsWith(a.pathname)
+    } catch { return false }
+  })
+}
+
+// Returns an err message for begin, or null when the callback is usable
+export function check(url, secret) {
+  if (typeof url !== 'string' || !isAllowed(url)) return 'callback_not_allowed'
+  if (!(typeof secret === 'string' && secret) && !WEBHOOK_SECRET) return 'missing_callback_secret'
+  return null
+}
+
+export function register(rid, url, secret) {
+  kv.set(`callback:${rid}`, { url, secret: secret || WEBHOOK_SECRET, fired: 0 }, JOB_TTL_MS)
+}
+
+// Regenerated attempts report to the same callback as the run they came from
+export function inherit(fromRid, rid) {
+  const cb = kv.get(`callback:${fromRid}`)
+  if (cb) register(rid, cb.url, cb.secret)
+}
+
+// Queues the terminal payload for a run that registered a callback; no-op otherwise.
+// The registration stays, so a continued run reports each terminal state under its own job.
+export function fire(rid, payload) {
+  const cb = kv.get(`callback:${rid}`)
+  if (!cb) return
+  cb.fired = (cb.fired || 0) + 1
+  kv.set(`callback:${rid}`, cb, JOB_TTL_MS)
+  const job = { key: `webhook:${rid}:${cb.fired}`, rid, url: cb.url, secret: cb.secret, body: JSON.stringify(payload), attempts: 0, nextAt: Date.now(), error: null }
+  kv.set(job.key, job, JOB_TTL_MS)
+  deliver(job)
+}
+
+// Receivers verify HMAC-SHA256(secret, `${timestamp}.${body}`) against X-Sune-Signature
+function sign(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+async function deliver(job) {
+  if (inflight.has(job.key)) return
+  inflight.add(job.key)
+  const timestamp = Math.floor(Date.now() / 1000)
+  let error = null
+  try {
+    const resp = await fetch(job.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Sune-Timestamp': `${timestamp}`,
+        'X-Sune-Signature': `sha256=${sign(job.secret, timestamp, job.body)}`,
+        'X-Sune-Attempt': `${job.attempts + 1}`,
+      },
+      body: job.body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    })
+    if (!resp.ok) error = `HTTP ${resp.status}`
+    await resp.body?.cancel().catch(() => {})
+  } catch (e) {
+    error = String(e?.message || e)
+  } finally {
+    inflight.delete(job.key)
+  }
+
+  if (!error) {
+    kv.del(job.key)
+    inc('sune_webhooks_delivered_total')
+    return
+  }
+  inc('sune_webhooks_failed_total')
+  job.attempts++
+  job.error = error
+  if (job.attempts >= config.webhookMaxAttempts) {
+    kv.del(job.key)
+    notify(`Webhook for run ${job.rid} dropped after ${job.attempts} attempt(s): ${error}`, 4, ['warning'])
+    return
+  }
+  job.nextAt = Date.now() + Math.min(config.webhookBaseMs * 2 ** (job.attempts - 1), MAX_DELAY_MS)
+  kv.set(job.key, job, JOB_TTL_MS)
+}
+
+// Picks up due retries, including jobs left queued by a previous process
+setInterval(() => {
+  const now = Date.now()
+  for (const k of kv.list('webhook:')) {
+    const job = kv.get(k)
+    if (job && job.nextAt <= now) deliver({ ...job, key: k })
+  }
+}, SWEEP_MS)